@@ -0,0 +1,89 @@
+'use strict';
+
+export const default_api_url = 'https://browser.ai/api/v1';
+
+export class ApiError extends Error {
+    constructor(action, response, body) {
+        super(`${action}: ${response.status} ${response.statusText} - ${body}`);
+        this.name = 'ApiError';
+        this.status = response.status;
+        this.statusText = response.statusText;
+        this.body = body;
+        this.retry_after_ms = retry_after_ms(response);
+    }
+}
+
+function retry_after_ms(response) {
+    const value = response.headers.get('retry-after');
+    if (!value)
+        return 0;
+    const sec = Number(value);
+    if (!Number.isNaN(sec))
+        return sec * 1000;
+    return Math.max(0, Date.parse(value) - Date.now()) || 0;
+}
+
+export function fetch_signal(signal, deadline) {
+    const signals = [];
+    if (signal)
+        signals.push(signal);
+    if (deadline)
+        signals.push(AbortSignal.timeout(Math.max(1, deadline - Date.now())));
+    return signals.length ? AbortSignal.any(signals) : undefined;
+}
+
+// Request body shared by new tasks and instructions sent to a running one
+export function task_body({instructions, project, options = {}}) {
+    const {geoLocation = {country: 'US'}, device, userAgent, locale, timezone} = options;
+    const body = {
+        geoLocation,
+        awaitable: true,
+        instructions,
+        project,
+        type: 'crawler_automation',
+    };
+    if (device || userAgent || locale || timezone)
+        body.browserProfile = {device, userAgent, locale, timezone};
+    return body;
+}
+
+export function create_api_headers(package_json, api_token) {
+    return () => {
+        const headers = new Headers();
+        headers.append('user-agent', `${package_json.name}/${package_json.version}`);
+        headers.append('authorization', `apikey ${api_token}`);
+        headers.append('Content-Type', 'application/json');
+        return headers;
+    };
+}
+
+export function create_api_client({
+    base_url = process.env.BROWSERAI_API_URL || default_api_url,
+    headers_fn,
+}) {
+    base_url = base_url.replace(/\/+$/, '');
+    const request = async (action, method, path, { body, signal, deadline } = {}) => {
+        const response = await fetch(`${base_url}${path}`, {
+            method,
+            headers: headers_fn(),
+            body: body && JSON.stringify(body),
+            signal: fetch_signal(signal, deadline),
+        });
+        const text = await response.text();
+        if (!response.ok)
+            throw new ApiError(action, response, text);
+        return text ? JSON.parse(text) : null;
+    };
+    const task_path = id=>`/tasks/${encodeURIComponent(id)}`;
+    return {
+        base_url,
+        create_task: (body, opts)=>
+            request('Failed to start new session', 'POST', '/tasks', {...opts, body}),
+        get_task: (id, opts)=>
+            request('Failed to get task status', 'GET', task_path(id), opts),
+        send_instructions: (id, body, opts)=>
+            request('Failed to send instructions', 'POST', `${task_path(id)}/instructions`, {...opts, body}),
+        stop_task: (id, opts)=>
+            request(`Failed to stop task ${id}`, 'POST', `${task_path(id)}/stop`, opts),
+    };
+}
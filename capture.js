@@ -0,0 +1,185 @@
+'use strict';
+import dns from 'node:dns/promises';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import {UserError} from 'fastmcp';
+import {fetch_signal} from './api.js';
+import {parse_json_result} from './extract.js';
+
+export const output_dir = process.env.OUTPUT_DIR
+    || path.join(os.tmpdir(), 'browserai-mcp');
+
+const result_format = 'Return the result as a JSON object with this exact format: ' +
+    '{"data": "base64_encoded_file", "mime_type": "mime/type"}. ' +
+    'If the file can only be provided as a link, return {"url": "download_url", "mime_type": "mime/type"} instead. ' +
+    'Do not add any extra text or formatting.';
+
+export function screenshot_instruction(mode, element) {
+    let target = 'the visible part of the current page (viewport)';
+    if (mode == 'full_page')
+        target = 'the full current page, scrolled from top to bottom';
+    else if (mode == 'element')
+        target = `only this element of the current page: ${element}`;
+    return `Take a PNG screenshot of ${target}. ${result_format}`;
+}
+
+export function pdf_instruction(landscape) {
+    return `Print the current page to a PDF document in ${landscape ? 'landscape' : 'portrait'} orientation ` +
+        `with backgrounds included. ${result_format}`;
+}
+
+export const max_capture_bytes = +process.env.CAPTURE_MAX_BYTES || 20 * 1024 * 1024;
+
+function too_large(bytes, max_bytes) {
+    return new UserError(`The captured file is larger than ${max_bytes} bytes` +
+        (bytes ? ` (${bytes} bytes)` : ''));
+}
+
+// Reads the body in chunks so an oversized download is dropped early
+async function read_capped(response, max_bytes) {
+    const length = +response.headers.get('content-length');
+    if (length > max_bytes)
+        throw too_large(length, max_bytes);
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of response.body)
+    {
+        total += chunk.length;
+        if (total > max_bytes)
+            throw too_large(0, max_bytes);
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+const private_ranges = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]])
+{
+    private_ranges.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10]])
+    private_ranges.addSubnet(address, prefix, 'ipv6');
+
+// Loopback, private, link-local and unspecified addresses, IPv4 mapped ones too
+export function is_private_address(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+    if (mapped || net.isIPv4(address))
+        return private_ranges.check(mapped || address, 'ipv4');
+    return private_ranges.check(address, 'ipv6');
+}
+
+// The download runs on the server, so a link must not reach its network
+async function check_public_host(hostname) {
+    let addresses;
+    try {
+        addresses = await dns.lookup(hostname.replace(/^\[|\]$/g, ''), {all: true});
+    } catch(e) {
+        throw new UserError(`Cannot resolve the capture download host ${hostname}`);
+    }
+    if (addresses.some(({address})=>is_private_address(address)))
+        throw new UserError(`Refusing to download the capture from ${hostname}, it is a private address`);
+}
+
+// The remote browser answers with base64 data or a download link, resolve
+// either to a Buffer. The link comes from the page side, so it must be https,
+// pass check_url (the server's domain policy) and resolve to a public address
+// before it is fetched.
+export async function decode_capture(result, {signal, deadline, check_url = ()=>{},
+    max_bytes = max_capture_bytes} = {})
+{
+    const data = parse_json_result(result);
+    if (typeof data?.data == 'string' && data.data)
+    {
+        const base64 = data.data.replace(/^data:[^,]*,/, '');
+        if (base64.length * 3 / 4 > max_bytes)
+            throw too_large(0, max_bytes);
+        return {buffer: Buffer.from(base64, 'base64'), mime_type: data.mime_type};
+    }
+    if (typeof data?.url == 'string')
+    {
+        let url;
+        try {
+            url = new URL(data.url);
+        } catch(e) {
+            throw new UserError('The browser returned an invalid download link');
+        }
+        if (url.protocol != 'https:')
+            throw new UserError(`Refusing to download the capture from a ${url.protocol.slice(0, -1)} link, only https is allowed`);
+        check_url(url.href);
+        await check_public_host(url.hostname);
+        const response = await fetch(url, {signal: fetch_signal(signal, deadline), redirect: 'error'});
+        if (!response.ok)
+            throw new Error(`Failed to download capture: ${response.status} ${response.statusText}`);
+        return {
+            buffer: await read_capped(response, max_bytes),
+            mime_type: data.mime_type || response.headers.get('content-type'),
+        };
+    }
+    throw new UserError('The browser did not return the captured file');
+}
+
+const image_signatures = [
+    ['image/png', '89504e470d0a1a0a'],
+    ['image/jpeg', 'ffd8ff'],
+    ['image/gif', '47494638'],
+];
+
+// Content type by magic bytes, null for anything that is not an image
+export function image_type(buffer) {
+    const hex = buffer.subarray(0, 12).toString('hex');
+    if (hex.startsWith('52494646') && hex.slice(16, 24) == '57454250')
+        return 'image/webp';
+    return image_signatures.find(([, magic])=>hex.startsWith(magic))?.[0] || null;
+}
+
+export function is_pdf(buffer) {
+    return buffer.subarray(0, 5).toString('latin1') == '%PDF-';
+}
+
+export async function save_capture(buffer, executionId, ext) {
+    await fs.mkdir(output_dir, {recursive: true});
+    const name = `${executionId}-${new Date().toISOString().replace(/[:.]/g, '-')}.${ext}`
+        .replace(/[^\w.-]/g, '_');
+    const file = path.join(output_dir, name);
+    await fs.writeFile(file, buffer);
+    return file;
+}
+
+export const output_uri_template = 'browserai://output/{name}';
+
+export function output_uri(name) {
+    return `browserai://output/${encodeURIComponent(name)}`;
+}
+
+// Files written to output_dir with their owner, served back as resources:
+// remote clients cannot open server paths. The oldest are forgotten once
+// max_files is reached, the files themselves stay.
+export function create_output_store({max_files = 200} = {}) {
+    const files = new Map();
+    return {
+        add: (file, owner, mime_type)=>{
+            const name = path.basename(file);
+            files.set(name, {file, owner, mime_type});
+            while (files.size > max_files)
+                files.delete(files.keys().next().value);
+            return output_uri(name);
+        },
+        get: name=>files.get(name),
+    };
+}
+
+// Resource contents of a stored output file
+export async function read_output({file, mime_type}) {
+    let buffer;
+    try {
+        buffer = await fs.readFile(file);
+    } catch(e) {
+        throw new UserError(`Cannot read ${path.basename(file)}: ${e.code || e.message}`);
+    }
+    if (/^text\/|json$/.test(mime_type))
+        return {text: buffer.toString('utf8'), mimeType: mime_type};
+    return {blob: buffer.toString('base64'), mimeType: mime_type};
+}
@@ -0,0 +1,96 @@
+'use strict';
+import {UserError} from 'fastmcp';
+
+export const crawl_defaults = {
+    max_concurrency: +process.env.CRAWL_MAX_CONCURRENCY || 5,
+};
+
+export function crawl_instruction(instruction, follow) {
+    const links = follow ? ', "links": ["absolute_url1", "absolute_url2", ...]' : '';
+    return `${instruction}. Return the result as a JSON object with this exact format: ` +
+        `{"data": extracted_data, "current_url": "actual_url"${links}}. ` +
+        (follow ? 'List in links the href of every link on the page as absolute URLs. ' : '') +
+        'Do not add any extra text or formatting.';
+}
+
+function normalize_url(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    } catch(e) {
+        return null;
+    }
+}
+
+// Which discovered links to follow: those matching follow_pattern, or by
+// default those on the start URL's host
+export function link_filter(start_url, follow_pattern) {
+    if (follow_pattern)
+    {
+        let re;
+        try {
+            re = new RegExp(follow_pattern);
+        } catch(e) {
+            throw new UserError(`Invalid followPattern: ${e.message}`);
+        }
+        return url=>re.test(url);
+    }
+    const host = new URL(start_url).host;
+    return url=>{
+        try {
+            return new URL(url).host == host;
+        } catch(e) {
+            return false;
+        }
+    };
+}
+
+// Visits urls breadth first with at most `concurrency` visits in flight.
+// visit(url, depth) resolves to a page entry, optionally with links to
+// follow, and only rejects to abort the whole crawl. max_pages only limits
+// how many followed links are added, the given urls are always visited.
+export function crawl({urls, max_depth = 0, max_pages = urls.length, concurrency = 1, follow, visit, on_progress}) {
+    const seen = new Map();
+    const queue = [];
+    const pages = [];
+    const add = (url, depth)=>{
+        const key = normalize_url(url);
+        if (!key || seen.has(key) || depth && seen.size >= max_pages)
+            return;
+        seen.set(key, seen.size);
+        queue.push({url: key, depth});
+    };
+    urls.forEach(url=>add(url, 0));
+    return new Promise((resolve, reject)=>{
+        let active = 0, failed = false;
+        const pump = ()=>{
+            while (!failed && active < concurrency && queue.length)
+            {
+                const {url, depth} = queue.shift();
+                active++;
+                visit(url, depth).then(page=>{
+                    active--;
+                    const {links, ...entry} = page;
+                    pages.push({url, depth, ...entry});
+                    if (follow && depth < max_depth && Array.isArray(links))
+                    {
+                        for (const link of links)
+                        {
+                            if (typeof link == 'string' && follow(link))
+                                add(link, depth + 1);
+                        }
+                    }
+                    on_progress?.({done: pages.length, total: seen.size, url, status: entry.status});
+                    pump();
+                }, e=>{
+                    failed = true;
+                    reject(e);
+                });
+            }
+            if (!failed && !active && !queue.length)
+                resolve(pages.sort((a, b)=>seen.get(a.url) - seen.get(b.url)));
+        };
+        pump();
+    });
+}
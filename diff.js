@@ -0,0 +1,63 @@
+'use strict';
+
+const max_items = 50;
+const max_line_chars = 200;
+
+function count(lines) {
+    const counts = new Map();
+    for (const line of lines)
+        counts.set(line, (counts.get(line) || 0) + 1);
+    return counts;
+}
+
+// Lines of a that are not in b, duplicates counted
+function missing(a, b) {
+    const left = count(b);
+    const out = [];
+    for (const line of a)
+    {
+        if (left.get(line))
+            left.set(line, left.get(line) - 1);
+        else
+            out.push(line);
+    }
+    return out;
+}
+
+function capped(items, map = v=>v) {
+    return {items: items.slice(0, max_items).map(map), total: items.length};
+}
+
+// Compares two page_snapshot()s. Text is compared as a multiset of lines,
+// so moved blocks do not show up as changes.
+export function diff_snapshots(before, after) {
+    const diff = {changed: false, since: new Date(before.ts).toISOString()};
+    for (const key of ['url', 'title'])
+    {
+        if (before[key] != after[key])
+        {
+            diff[key] = {from: before[key], to: after[key]};
+            diff.changed = true;
+        }
+    }
+    const refs_before = new Set(before.elements.map(e=>e.ref));
+    const refs_after = new Set(after.elements.map(e=>e.ref));
+    const added = after.elements.filter(e=>!refs_before.has(e.ref));
+    const removed = before.elements.filter(e=>!refs_after.has(e.ref));
+    if (added.length || removed.length)
+    {
+        const a = capped(added), r = capped(removed);
+        diff.elements = {added: a.items, removed: r.items, addedCount: a.total, removedCount: r.total};
+        diff.changed = true;
+    }
+    const trim = line=>line.length > max_line_chars ? line.slice(0, max_line_chars) + '…' : line;
+    const lines_added = missing(after.lines, before.lines);
+    const lines_removed = missing(before.lines, after.lines);
+    if (lines_added.length || lines_removed.length)
+    {
+        const a = capped(lines_added, trim), r = capped(lines_removed, trim);
+        diff.text = {added: a.items, removed: r.items, addedCount: a.total, removedCount: r.total};
+        diff.changed = true;
+    }
+    return diff;
+}
@@ -0,0 +1,96 @@
+'use strict';
+import {Ajv} from 'ajv';
+import {UserError} from 'fastmcp';
+
+const ajv = new Ajv({allErrors: true, strict: false});
+
+// Pulls the first JSON value out of a model answer that may wrap it in code
+// fences or prose. Returns undefined when nothing parses.
+export function parse_json_result(result) {
+    if (result && typeof result == 'object')
+        return result;
+    if (typeof result != 'string')
+        return undefined;
+    const text = result.trim();
+    const candidates = [text];
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced)
+        candidates.push(fenced[1].trim());
+    const start = text.search(/[[{]/);
+    if (start >= 0)
+    {
+        const close = text[start] == '{' ? '}' : ']';
+        candidates.push(text.slice(start, text.lastIndexOf(close) + 1));
+    }
+    for (const candidate of candidates)
+    {
+        try {
+            return JSON.parse(candidate);
+        } catch(e) {}
+    }
+    return undefined;
+}
+
+export function compile_schema(schema) {
+    try {
+        return ajv.compile(schema);
+    } catch(e) {
+        throw new UserError(`Invalid JSON Schema: ${e.message}`);
+    }
+}
+
+// Returns a list of readable problems, empty when the data is valid
+export function validate_result(validate, data) {
+    if (data === undefined)
+        return ['the answer is not valid JSON'];
+    if (validate(data))
+        return [];
+    return validate.errors.map(e=>`${e.instancePath || '(root)'} ${e.message}`);
+}
+
+export function schema_instruction(schema) {
+    return 'Return the extracted data as a single JSON value that validates against this JSON Schema: ' +
+        JSON.stringify(schema) + '. No additional text, explanations, or formatting.';
+}
+
+export function retry_instruction(schema, errors) {
+    return 'Your previous answer was rejected because it does not match the required JSON Schema: ' +
+        errors.join('; ') + '. Extract the data again from the current page. ' +
+        schema_instruction(schema);
+}
+
+// Runs an extraction through send(instructions, history) and, with a schema,
+// re-asks the session with the validation errors until the answer validates
+export async function extract_structured({instruction, schema, max_retries = 2, send, log}) {
+    const validate = schema && compile_schema(schema);
+    let instructions = [
+        {action: instruction},
+        {action: schema ? schema_instruction(schema) : 'Return the extracted data as a clean JSON object. ' +
+            'No additional text, explanations, or formatting. ' +
+            'Just the JSON response as specified in the extraction instruction.'},
+    ];
+    let history = [instruction];
+    for (let attempt = 1; ; attempt++)
+    {
+        const data = await send(instructions, history);
+        const parsed = parse_json_result(data.result);
+        if (!validate)
+            return {executionId: data.executionId, result: parsed ?? data.result};
+        const errors = validate_result(validate, parsed);
+        if (!errors.length)
+            return {executionId: data.executionId, result: parsed, attempts: attempt};
+        log.warn('Extraction result does not match schema', { attempt, errors });
+        if (attempt > max_retries)
+        {
+            throw new UserError(JSON.stringify({
+                error: 'validation_failed',
+                executionId: data.executionId,
+                attempts: attempt,
+                errors,
+                result: parsed ?? data.result,
+            }), {executionId: data.executionId, errors});
+        }
+        instructions = [{action: retry_instruction(schema, errors)}];
+        history = [`Retry extraction (attempt ${attempt + 1})`];
+    }
+}
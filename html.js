@@ -0,0 +1,218 @@
+'use strict';
+import {parse} from 'node-html-parser';
+import {UserError} from 'fastmcp';
+import {parse_json_result} from './extract.js';
+
+export const output_formats = ['html', 'markdown', 'text', 'elements_only'];
+export const default_max_chars = +process.env.MAX_RESULT_CHARS || 20000;
+const max_elements = 300;
+const stripped = 'script, style, svg, noscript, template, iframe, canvas, link, meta';
+const interactive = 'a[href], button, input:not([type=hidden]), select, textarea, ' +
+    '[role=button], [role=link], [role=checkbox], [role=tab], [role=menuitem], [onclick], [contenteditable]';
+const blocks = new Set(['p', 'div', 'section', 'article', 'main', 'header', 'footer',
+    'nav', 'aside', 'form', 'ul', 'ol', 'table', 'tr', 'blockquote', 'figure',
+    'fieldset', 'dl', 'dt', 'dd', 'details', 'summary', 'body', 'html']);
+
+const squash = text=>text.replace(/\s+/g, ' ').trim();
+
+function element_label(el) {
+    return squash(el.textContent || '') || el.getAttribute('aria-label')
+        || el.getAttribute('placeholder') || el.getAttribute('title')
+        || el.getAttribute('alt') || el.getAttribute('value')
+        || el.getAttribute('name') || '';
+}
+
+function describe_element(el) {
+    const tag = el.rawTagName.toLowerCase();
+    const element = {tag, text: element_label(el).slice(0, 100)};
+    for (const attr of ['id', 'name', 'type', 'href', 'role'])
+    {
+        const value = el.getAttribute(attr);
+        if (value)
+            element[attr] = value.slice(0, 200);
+    }
+    return element;
+}
+
+function element_key(element) {
+    return [element.tag, element.id, element.name, element.type, element.href,
+        element.role, element.text].join('|');
+}
+
+// Numbers interactive elements per session. An element keeps its ref across
+// calls as long as it looks the same, so "element #12" stays meaningful.
+export function create_element_refs() {
+    const by_key = new Map();
+    const by_ref = new Map();
+    return {
+        assign: element=>{
+            const key = element_key(element);
+            let ref = by_key.get(key);
+            if (!ref)
+            {
+                ref = by_ref.size + 1;
+                by_key.set(key, ref);
+                by_ref.set(ref, element);
+            }
+            return ref;
+        },
+        get: ref=>by_ref.get(ref),
+    };
+}
+
+export function element_description(element) {
+    const attrs = ['id', 'name', 'type', 'href', 'role']
+        .filter(attr=>element[attr])
+        .map(attr=>`${attr}="${element[attr]}"`);
+    return `the ${element.tag} element` + (element.text ? ` "${element.text}"` : '') +
+        (attrs.length ? ` (${attrs.join(', ')})` : '');
+}
+
+// Replaces "element #12" in an instruction with a description the remote
+// browser can act on
+export function resolve_element_refs(instruction, refs) {
+    if (!refs)
+        return instruction;
+    return instruction.replace(/\belement\s+#(\d+)\b/gi, (match, ref)=>{
+        const element = refs.get(+ref);
+        if (!element)
+            throw new UserError(`Unknown element #${ref}, fetch the page again to get current element refs`);
+        return element_description(element);
+    });
+}
+
+function to_markdown(node, refs_of) {
+    if (node.nodeType == 3)
+        return node.text.replace(/\s+/g, ' ');
+    if (node.nodeType != 1)
+        return '';
+    const tag = node.rawTagName?.toLowerCase();
+    const inner = ()=>node.childNodes.map(child=>to_markdown(child, refs_of)).join('');
+    const ref = refs_of.get(node);
+    const mark = ref ? ` [#${ref}]` : '';
+    switch (tag)
+    {
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+        return `\n\n${'#'.repeat(+tag[1])} ${squash(inner())}${mark}\n\n`;
+    case 'a':
+    {
+        const text = squash(inner()) || element_label(node);
+        const href = node.getAttribute('href');
+        return href && !href.startsWith('javascript:') ? `[${text}](${href})${mark}` : `${text}${mark}`;
+    }
+    case 'img':
+    {
+        const alt = node.getAttribute('alt');
+        return alt ? `![${alt}](${node.getAttribute('src') || ''})` : '';
+    }
+    case 'button': case 'select': case 'textarea':
+        return ` [${tag}: ${element_label(node)}]${mark} `;
+    case 'input':
+        return ` [input ${node.getAttribute('type') || 'text'}: ${element_label(node)}]${mark} `;
+    case 'br':
+        return '\n';
+    case 'hr':
+        return '\n\n---\n\n';
+    case 'strong': case 'b':
+    {
+        const text = squash(inner());
+        return text ? `**${text}**${mark}` : '';
+    }
+    case 'em': case 'i':
+    {
+        const text = squash(inner());
+        return text ? `_${text}_${mark}` : '';
+    }
+    case 'code':
+        return `\`${node.text}\``;
+    case 'pre':
+        return `\n\n\`\`\`\n${node.text}\n\`\`\`\n\n`;
+    case 'li':
+        return `\n- ${squash(inner())}${mark}`;
+    case 'td': case 'th':
+        return ` ${squash(inner())}${mark} |`;
+    case 'tr':
+        return `\n|${inner()}`;
+    case 'head':
+    {
+        const title = squash(node.querySelector('title')?.text || '');
+        return title ? `# ${title}\n\n` : '';
+    }
+    default:
+        return blocks.has(tag) ? `\n\n${inner()}${mark}\n\n` : inner() + mark;
+    }
+}
+
+function truncate(text, max_chars) {
+    if (text.length <= max_chars)
+        return {content: text, truncated: false};
+    return {
+        content: text.slice(0, max_chars) + `\n\n[... truncated ${text.length - max_chars} characters ...]`,
+        truncated: true,
+    };
+}
+
+// Turns the {interactive_elements, html_markup} payload returned by the
+// remote browser into the requested format within a character budget.
+// Results without html_markup are returned as they are.
+export function process_page(result, {format = 'markdown', max_chars = default_max_chars, refs} = {}) {
+    const data = parse_json_result(result);
+    if (typeof data?.html_markup != 'string')
+        return result;
+    const {html_markup, interactive_elements, ...rest} = data;
+    const root = parse(html_markup, {comment: false});
+    for (const el of root.querySelectorAll(stripped))
+        el.remove();
+    refs = refs || create_element_refs();
+    const refs_of = new Map();
+    const elements = [];
+    for (const el of root.querySelectorAll(interactive))
+    {
+        const element = describe_element(el);
+        const ref = refs.assign(element);
+        refs_of.set(el, ref);
+        el.setAttribute('data-ref', `${ref}`);
+        if (elements.length < max_elements)
+            elements.push({ref, ...element});
+    }
+    const page = {...rest, format};
+    if (format == 'html')
+        Object.assign(page, truncate(root.toString(), max_chars));
+    else if (format == 'markdown')
+        Object.assign(page, truncate(to_markdown(root, refs_of).replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n').trim(), max_chars));
+    else if (format == 'text')
+        Object.assign(page, truncate(root.structuredText.replace(/\n{3,}/g, '\n\n').trim(), max_chars));
+    page.elements = elements;
+    if (!elements.length && Array.isArray(interactive_elements))
+        page.elements = interactive_elements.slice(0, max_elements);
+    if (refs_of.size > elements.length)
+        page.elements_truncated = refs_of.size - elements.length;
+    return page;
+}
+
+// What diff_page compares between two visits of a session's page: URL,
+// title, interactive elements by ref and the visible text line by line
+export function page_snapshot(result, refs) {
+    const data = parse_json_result(result);
+    if (typeof data?.html_markup != 'string')
+        return null;
+    const root = parse(data.html_markup, {comment: false});
+    for (const el of root.querySelectorAll(stripped))
+        el.remove();
+    refs = refs || create_element_refs();
+    const elements = root.querySelectorAll(interactive).map(el=>{
+        const element = describe_element(el);
+        return {ref: refs.assign(element), ...element};
+    });
+    const title = data.title || squash(root.querySelector('title')?.text || '') || null;
+    for (const el of root.querySelectorAll('title'))
+        el.remove();
+    return {
+        url: data.current_url || data.url || null,
+        title,
+        elements,
+        lines: to_markdown(root, new Map()).split('\n').map(squash).filter(Boolean),
+        ts: Date.now(),
+    };
+}
@@ -0,0 +1,171 @@
+'use strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import {UserError} from 'fastmcp';
+
+const hour_ms = 3600000;
+const max_tracked_sessions = 1000;
+
+export class UsageLimitError extends UserError {
+    constructor(limit, value, message) {
+        super(JSON.stringify({error: 'limit_exceeded', limit, value, message}), {limit, value});
+    }
+}
+
+export function env_limits(env = process.env) {
+    return {
+        max_concurrent_sessions: +env.MAX_CONCURRENT_SESSIONS || 0,
+        max_tasks_per_hour: +env.MAX_TASKS_PER_HOUR || 0,
+        max_session_age_ms: (+env.MAX_SESSION_AGE_MINUTES || 0) * 60000,
+    };
+}
+
+// Bytes an MCP client receives for a tool result, images count decoded
+export function result_bytes(result) {
+    if (typeof result == 'string')
+        return Buffer.byteLength(result);
+    if (!Array.isArray(result?.content))
+        return 0;
+    return result.content.reduce((sum, block)=>sum + (block.type == 'image'
+        ? Math.floor((block.data?.length || 0) * 3 / 4)
+        : Buffer.byteLength(block.text || '')), 0);
+}
+
+const counter = ()=>({calls: 0, failures: 0, duration_ms: 0, bytes: 0});
+
+// Counts tool calls and remote tasks per client and enforces the configured
+// limits before a remote task is created. A limit of 0 means unlimited.
+export function create_meter({
+    limits = env_limits(),
+    export_file = process.env.USAGE_EXPORT_FILE,
+    export_interval_ms = (+process.env.USAGE_EXPORT_INTERVAL_SECONDS || 60) * 1000,
+} = {}) {
+    const started = Date.now();
+    const owners = new Map();
+    const usage = owner=>{
+        if (!owners.has(owner))
+        {
+            owners.set(owner, {
+                tools: {},
+                sessions: new Map(),
+                tasks: {total: 0, failed: 0, duration_ms: 0},
+                task_times: [],
+            });
+        }
+        return owners.get(owner);
+    };
+    const session_usage = (u, executionId)=>{
+        if (!u.sessions.has(executionId))
+        {
+            u.sessions.set(executionId, {...counter(), tasks: 0, task_ms: 0});
+            if (u.sessions.size > max_tracked_sessions)
+                u.sessions.delete(u.sessions.keys().next().value);
+        }
+        return u.sessions.get(executionId);
+    };
+    const recent_tasks = u=>{
+        const since = Date.now() - hour_ms;
+        while (u.task_times.length && u.task_times[0] < since)
+            u.task_times.shift();
+        return u.task_times.length;
+    };
+    const stats = owner=>{
+        const u = usage(owner);
+        return {
+            since: new Date(started).toISOString(),
+            tools: u.tools,
+            sessions: Object.fromEntries(u.sessions),
+            tasks: {
+                ...u.tasks,
+                avg_duration_ms: u.tasks.total ? Math.round(u.tasks.duration_ms / u.tasks.total) : 0,
+                last_hour: recent_tasks(u),
+            },
+            limits: {
+                maxConcurrentSessions: limits.max_concurrent_sessions || null,
+                maxTasksPerHour: limits.max_tasks_per_hour || null,
+                maxSessionAgeMinutes: limits.max_session_age_ms / 60000 || null,
+            },
+        };
+    };
+    const export_stats = ()=>{
+        if (!export_file || !owners.size)
+            return;
+        const ts = new Date().toISOString();
+        const lines = [...owners.keys()].map(owner=>JSON.stringify({ts, owner, ...stats(owner)}));
+        try {
+            fs.mkdirSync(path.dirname(export_file), {recursive: true});
+            fs.appendFileSync(export_file, lines.join('\n') + '\n');
+        } catch(e) {
+            console.error(`Failed to export usage to ${export_file}: ${e.message}`);
+        }
+    };
+    const timer = export_file ? setInterval(export_stats, export_interval_ms) : null;
+    timer?.unref();
+    return {
+        limits,
+        record_call: (name, {owner, executionId, duration_ms, failed, bytes = 0})=>{
+            const u = usage(owner);
+            const entries = [u.tools[name] = u.tools[name] || counter()];
+            if (executionId)
+                entries.push(session_usage(u, executionId));
+            for (const entry of entries)
+            {
+                entry.calls++;
+                entry.failures += failed ? 1 : 0;
+                entry.duration_ms += duration_ms;
+                entry.bytes += bytes;
+            }
+        },
+        // session_created is set for instructions sent to an existing session,
+        // active_sessions when a new one is about to start
+        check_task: (owner, {active_sessions, session_created} = {})=>{
+            const u = usage(owner);
+            if (limits.max_concurrent_sessions && active_sessions >= limits.max_concurrent_sessions)
+            {
+                throw new UsageLimitError('max_concurrent_sessions', active_sessions,
+                    `${active_sessions} sessions are open, the limit is ${limits.max_concurrent_sessions}. ` +
+                    'Close a session with close_session before starting a new one.');
+            }
+            const age_ms = session_created ? Date.now() - session_created : 0;
+            if (limits.max_session_age_ms && age_ms > limits.max_session_age_ms)
+            {
+                throw new UsageLimitError('max_session_age', Math.round(age_ms / 60000),
+                    `The session is older than ${limits.max_session_age_ms / 60000} minutes, start a new one.`);
+            }
+            const last_hour = recent_tasks(u);
+            if (limits.max_tasks_per_hour && last_hour >= limits.max_tasks_per_hour)
+            {
+                const retry_s = Math.ceil((u.task_times[0] + hour_ms - Date.now()) / 1000);
+                throw new UsageLimitError('max_tasks_per_hour', last_hour,
+                    `${last_hour} remote tasks were created in the last hour, the limit is ` +
+                    `${limits.max_tasks_per_hour}. Retry in ${retry_s}s.`);
+            }
+        },
+        start_task: owner=>{
+            const u = usage(owner);
+            const ts = Date.now();
+            u.task_times.push(ts);
+            return {
+                end: ({executionId, failed})=>{
+                    const duration_ms = Date.now() - ts;
+                    u.tasks.total++;
+                    u.tasks.failed += failed ? 1 : 0;
+                    u.tasks.duration_ms += duration_ms;
+                    if (executionId)
+                    {
+                        const s = session_usage(u, executionId);
+                        s.tasks++;
+                        s.task_ms += duration_ms;
+                    }
+                },
+            };
+        },
+        stats,
+        export_stats,
+        stop: ()=>{
+            if (timer)
+                clearInterval(timer);
+            export_stats();
+        },
+    };
+}
@@ -0,0 +1,167 @@
+'use strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import {UserError} from 'fastmcp';
+
+const default_file = path.join(os.homedir(), '.browserai-mcp', 'monitors.json');
+
+export const monitor_uri_template = 'browserai://monitor/{id}';
+
+export function monitor_uri(id) {
+    return `browserai://monitor/${encodeURIComponent(id)}`;
+}
+
+export const monitor_defaults = {
+    min_interval_ms: (+process.env.MONITOR_MIN_INTERVAL_SECONDS || 60) * 1000,
+    max_monitors: +process.env.MAX_MONITORS || 20,
+    max_history: +process.env.MONITOR_HISTORY_SIZE || 50,
+    tick_ms: +process.env.MONITOR_TICK_MS || 15000,
+};
+
+// Key order does not count as a change
+function stable_json(value) {
+    if (Array.isArray(value))
+        return `[${value.map(stable_json).join(',')}]`;
+    if (value && typeof value == 'object')
+    {
+        return `{${Object.keys(value).sort().map(key=>
+            `${JSON.stringify(key)}:${stable_json(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+export function same_value(a, b) {
+    return stable_json(a) == stable_json(b);
+}
+
+// Monitors are persisted like the session registry so they keep running
+// after a restart
+export function create_monitor_store({
+    file = process.env.MONITORS_FILE || default_file,
+    min_interval_ms = monitor_defaults.min_interval_ms,
+    max_monitors = monitor_defaults.max_monitors,
+    max_history = monitor_defaults.max_history,
+} = {}) {
+    const monitors = new Map();
+    const load = ()=>{
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch(e) {
+            if (e.code != 'ENOENT')
+                console.error(`Failed to load monitors ${file}: ${e.message}`);
+            return;
+        }
+        for (const monitor of data.monitors || [])
+            monitors.set(monitor.id, monitor);
+    };
+    const save = ()=>{
+        const tmp = `${file}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(file), {recursive: true});
+            fs.writeFileSync(tmp, JSON.stringify({monitors: [...monitors.values()]}, null, 2));
+            fs.renameSync(tmp, file);
+        } catch(e) {
+            console.error(`Failed to save monitors ${file}: ${e.message}`);
+        }
+    };
+    load();
+    return {
+        file,
+        // The caller runs the first check right away, the scheduler takes over
+        // one interval later
+        add: ({owner, project, name, url, instruction, interval_ms, options = {}})=>{
+            if (interval_ms < min_interval_ms)
+                throw new UserError(`The interval must be at least ${min_interval_ms / 1000} seconds`);
+            if ([...monitors.values()].filter(m=>m.owner == owner).length >= max_monitors)
+                throw new UserError(`At most ${max_monitors} monitors are allowed, delete one first`);
+            const now = Date.now();
+            const monitor = {
+                id: `monitor-${crypto.randomUUID()}`,
+                owner,
+                project,
+                name: name || url,
+                url,
+                instruction,
+                intervalMs: interval_ms,
+                options,
+                created: now,
+                lastRun: null,
+                nextRun: now + interval_ms,
+                lastValue: undefined,
+                lastChange: null,
+                runs: 0,
+                history: [],
+            };
+            monitors.set(monitor.id, monitor);
+            save();
+            return monitor;
+        },
+        get: id=>monitors.get(id),
+        list: owner=>[...monitors.values()].filter(m=>!owner || m.owner == owner),
+        remove: id=>{
+            const removed = monitors.delete(id);
+            if (removed)
+                save();
+            return removed;
+        },
+        due: (now = Date.now())=>[...monitors.values()].filter(m=>m.nextRun <= now),
+        postpone: (id, now = Date.now())=>{
+            const monitor = monitors.get(id);
+            if (monitor)
+                monitor.nextRun = now + monitor.intervalMs;
+        },
+        // Only succeeded runs move lastValue, so a failed run in between does
+        // not count as a change
+        record: (id, {status, value, error})=>{
+            const monitor = monitors.get(id);
+            if (!monitor)
+                return null;
+            const now = Date.now();
+            const entry = {ts: now, status};
+            const previous = monitor.lastValue;
+            if (status == 'succeeded')
+            {
+                entry.value = value;
+                entry.changed = monitor.runs > 0 && !same_value(previous, value);
+                monitor.lastValue = value;
+                monitor.runs++;
+                if (entry.changed)
+                    monitor.lastChange = now;
+            }
+            else
+                entry.error = error;
+            monitor.lastRun = now;
+            monitor.nextRun = now + monitor.intervalMs;
+            monitor.history.push(entry);
+            monitor.history.splice(0, monitor.history.length - max_history);
+            save();
+            return {monitor, entry, previous};
+        },
+    };
+}
+
+// Runs due monitors one at a time so a slow check never overlaps the next
+// tick. check(monitor) must not reject.
+export function start_monitor_scheduler({store, check, tick_ms = monitor_defaults.tick_ms}) {
+    let running = false;
+    const tick = async ()=>{
+        if (running)
+            return;
+        running = true;
+        try {
+            for (const monitor of store.due())
+            {
+                if (store.get(monitor.id))
+                    await check(monitor);
+            }
+        } finally {
+            running = false;
+        }
+    };
+    const timer = setInterval(tick, tick_ms);
+    timer.unref();
+    return {tick, stop: ()=>clearInterval(timer)};
+}
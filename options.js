@@ -0,0 +1,75 @@
+'use strict';
+import {z} from 'zod';
+
+// ISO 3166-1 alpha-2 codes the remote browser can be located in
+export const supported_countries = (
+    'AD AE AF AG AI AL AM AO AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ ' +
+    'BL BM BN BO BQ BR BS BT BW BY BZ CA CD CF CG CH CI CK CL CM CN CO CR CU ' +
+    'CV CW CY CZ DE DJ DK DM DO DZ EC EE EG ER ES ET FI FJ FK FM FO FR GA GB ' +
+    'GD GE GF GG GH GI GL GM GN GP GQ GR GT GU GW GY HK HN HR HT HU ID IE IL ' +
+    'IM IN IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KR KW KY KZ LA LB LC LI ' +
+    'LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT ' +
+    'MU MV MW MX MY MZ NA NC NE NG NI NL NO NP NR NZ OM PA PE PF PG PH PK PL ' +
+    'PM PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SI SK SL SM SN SO ' +
+    'SR SS ST SV SX SY SZ TC TD TG TH TJ TL TM TN TO TR TT TV TW TZ UA UG US ' +
+    'UY UZ VC VE VG VI VN VU WS XK YE YT ZA ZM ZW').split(' ');
+
+function is_valid(fn) {
+    return value=>{
+        try {
+            fn(value);
+            return true;
+        } catch(e) {
+            return false;
+        }
+    };
+}
+
+export const geo_location = z.object({
+    // no default here, a per-call city must not reset the session's country
+    country: z.string()
+        .transform(country=>country.toUpperCase())
+        .refine(country=>supported_countries.includes(country),
+            country=>({message: `Unsupported country "${country}", use an ISO 3166-1 alpha-2 code such as US, GB or DE`}))
+        .optional(),
+    city: z.string().optional(),
+    zipCode: z.string().optional(),
+});
+
+// Browser settings fixed when a session starts and reused by every later
+// call on it. Passing them to a follow-up call overrides them for that call.
+export const browser_params = {
+    geoLocation: geo_location.optional(),
+    device: z.enum(['desktop', 'mobile']).optional(),
+    userAgent: z.string().optional(),
+    locale: z.string().refine(is_valid(locale=>Intl.getCanonicalLocales(locale)),
+        {message: 'Invalid locale, use a BCP 47 tag such as en-US'}).optional(),
+    timezone: z.string().refine(is_valid(timeZone=>new Intl.DateTimeFormat('en', {timeZone})),
+        {message: 'Invalid timezone, use an IANA name such as Europe/Berlin'}).optional(),
+};
+
+export function pick_browser_options(params = {}) {
+    const options = {};
+    for (const key of Object.keys(browser_params))
+    {
+        if (params[key] !== undefined)
+            options[key] = params[key];
+    }
+    return options;
+}
+
+// A city or zip code only makes sense in the country it was given for, so
+// they are kept from the session only while the country stays the same
+function merge_geo_location(base, override) {
+    if (!override)
+        return base;
+    if (override.country && override.country != base.country)
+        return override;
+    return {...base, ...override};
+}
+
+export function merge_browser_options(session_options = {}, overrides = {}) {
+    const geoLocation = merge_geo_location(merge_geo_location({country: 'US'}, session_options.geoLocation),
+        overrides.geoLocation);
+    return {...session_options, ...overrides, geoLocation};
+}
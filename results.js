@@ -0,0 +1,56 @@
+'use strict';
+
+export const result_uri_template = 'browserai://session/{executionId}/result/{n}';
+
+export function result_uri(executionId, n) {
+    return `browserai://session/${encodeURIComponent(executionId)}/result/${n}`;
+}
+
+// Keeps oversized tool results in memory so agents can page through them
+// instead of receiving everything in one text block. The oldest results are
+// dropped once max_results is reached.
+export function create_result_store({
+    threshold = +process.env.RESULT_PAGE_THRESHOLD || 50000,
+    max_results = +process.env.RESULT_STORE_SIZE || 100,
+} = {}) {
+    const results = new Map();
+    const counters = new Map();
+    const key = (executionId, n)=>`${executionId}/${n}`;
+    return {
+        threshold,
+        put: (executionId, text, owner)=>{
+            const n = (counters.get(executionId) || 0) + 1;
+            counters.set(executionId, n);
+            results.set(key(executionId, n), {executionId, n, text, owner, created: Date.now()});
+            while (results.size > max_results)
+                results.delete(results.keys().next().value);
+            return n;
+        },
+        get: (executionId, n)=>{
+            if (n === undefined)
+                n = counters.get(executionId);
+            return results.get(key(executionId, n));
+        },
+        read: (entry, offset, length)=>{
+            const chunk = entry.text.slice(offset, offset + length);
+            const next = offset + chunk.length;
+            return {
+                executionId: entry.executionId,
+                n: entry.n,
+                offset,
+                length: chunk.length,
+                totalChars: entry.text.length,
+                nextOffset: next < entry.text.length ? next : null,
+                chunk,
+            };
+        },
+        forget: executionId=>{
+            for (const [k, entry] of results)
+            {
+                if (entry.executionId == executionId)
+                    results.delete(k);
+            }
+            counters.delete(executionId);
+        },
+    };
+}
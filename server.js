@@ -1,66 +1,327 @@
 #!/usr/bin/env node
 'use strict';
-import {FastMCP} from 'fastmcp';
+import {FastMCP, UserError} from 'fastmcp';
 import {z} from 'zod';
-import { create_api_headers, poll_task_result, send_session_instructions, create_tool_fn } from './utils.js';
+import crypto from 'node:crypto';
+import {parseArgs} from 'node:util';
+import { poll_task_result, send_session_instructions, create_tool_fn, install_request_context, current_mcp_session, stop_task, trace_event } from './utils.js';
+import { create_api_headers, create_api_client, task_body } from './api.js';
+import { createSessionManager, local_owner, page_state } from './sessions.js';
+import { extract_structured, parse_json_result } from './extract.js';
+import { create_workflow_store, prepare_workflow, workflow_variables, workflow_params } from './workflows.js';
+import { output_formats, process_page, page_snapshot, create_element_refs, resolve_element_refs } from './html.js';
+import { diff_snapshots } from './diff.js';
+import { create_result_store, result_uri, result_uri_template } from './results.js';
+import { screenshot_instruction, pdf_instruction, decode_capture, is_pdf, image_type, save_capture, create_output_store, read_output,
+    output_uri_template } from './capture.js';
+import { browser_params, pick_browser_options, merge_browser_options } from './options.js';
+import { create_vault, has_secrets } from './vault.js';
+import { create_meter } from './metering.js';
+import { create_policy } from './policy.js';
+import { crawl, crawl_defaults, crawl_instruction, link_filter } from './crawl.js';
+import { create_trace_store, trace_json, save_trace, load_trace, replay_steps } from './trace.js';
+import { create_monitor_store, start_monitor_scheduler, monitor_uri, monitor_uri_template } from './monitors.js';
 import {createRequire} from 'node:module';
 const require = createRequire(import.meta.url);
 const package_json = require('./package.json');
+const {values: args} = parseArgs({options: {
+    transport: {type: 'string', default: process.env.TRANSPORT || 'stdio'},
+    port: {type: 'string', default: process.env.PORT || '8080'},
+    endpoint: {type: 'string'},
+}});
 const api_token = process.env.API_TOKEN;
 const project_name = process.env.PROJECT_NAME;
 
-if (!api_token)
+if (!['stdio', 'http', 'sse'].includes(args.transport))
+    throw new Error(`Unknown transport ${args.transport}, expected stdio, http or sse`);
+const remote = args.transport != 'stdio';
+if (!remote && !api_token)
     throw new Error('Cannot run MCP server without API_TOKEN env');
-if (!project_name)
+if (!remote && !project_name)
     throw new Error('Cannot run MCP server without PROJECT_NAME env');
 
-let debug_stats = {tool_calls: {}};
-const api_headers = create_api_headers(package_json, api_token);
-const tool_fn = create_tool_fn(debug_stats);
+const meter = create_meter();
+const policy = create_policy();
+process.on('exit', ()=>meter.stop());
+const clients = new Map();
 
+// Sessions may have expired while the server was down, before their owner
+// connected again. Their tasks are stopped once that client shows up.
+const expired_tasks = new Map();
+const expire_log = {info: console.error, warn: console.error};
+
+function stop_expired(id, owner) {
+    const client = [...clients.values()].find(c=>c.id == owner);
+    if (client)
+        stop_task(id, client.api, expire_log);
+    else
+        expired_tasks.set(owner, [...expired_tasks.get(owner) || [], id]);
+}
+
+function get_client(token, project, id) {
+    const key = `${id}:${project}`;
+    if (!clients.has(key))
+    {
+        const client = {
+            id,
+            project_name: project,
+            remote: id != local_owner,
+            api: create_api_client({headers_fn: create_api_headers(package_json, token)}),
+        };
+        clients.set(key, client);
+        for (const task_id of expired_tasks.get(id) || [])
+            stop_task(task_id, client.api, expire_log);
+        expired_tasks.delete(id);
+    }
+    return clients.get(key);
+}
+if (!remote)
+    get_client(api_token, project_name, local_owner);
+
+function header(request, name) {
+    const value = request.headers[name];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+// Every HTTP/SSE client brings its own BrowserAI token, sessions are scoped
+// to a hash of it so clients cannot see or drive each other's executionIds
+async function authenticate(request) {
+    const bearer = header(request, 'authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+    const token = header(request, 'x-api-token') || bearer;
+    const project = header(request, 'x-project-name') || project_name;
+    if (!token)
+        throw new Response(null, {status: 401, statusText: 'Missing X-API-Token header'});
+    if (!project)
+        throw new Response(null, {status: 401, statusText: 'Missing X-Project-Name header'});
+    const id = crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+    return {token, project_name: project, client_id: id};
+}
+
+const vault = create_vault();
+const traceStore = create_trace_store({redact: value=>vault.redact(value),
+    session_id: id=>sessionManager.session_id(id)});
+// Resource loaders only learn which MCP session reads them, not its client.
+// Remote sessions are tied to their client by the tool calls they make, so a
+// session that never called a tool cannot read any resource.
+const session_clients = new WeakMap();
+
+function resource_client() {
+    if (!remote)
+        return get_client(api_token, project_name, local_owner);
+    const mcp_session = current_mcp_session();
+    return (mcp_session && session_clients.get(mcp_session)) || {id: null, remote: true};
+}
+
+const tool_fn = create_tool_fn(meter, (auth, params)=>{
+    const client = auth ? get_client(auth.token, auth.project_name, auth.client_id)
+        : get_client(api_token, project_name, local_owner);
+    const mcp_session = current_mcp_session();
+    if (mcp_session)
+        session_clients.set(mcp_session, client);
+    return {client, browser_options: pick_browser_options(params)};
+}, value=>vault.redact(value), traceStore);
+
+install_request_context();
 let server = new FastMCP({
     name: 'BrowserAI',
     version: package_json.version,
+    authenticate: remote ? authenticate : undefined,
+});
+const timeout_seconds = z.number().positive().optional();
+const output_format = z.enum(output_formats).optional().default('markdown');
+const max_chars = z.number().int().positive().optional();
+
+const element_refs = new Map();
+// last page_snapshot() per executionId, what diff_page and returnDiff compare against
+const snapshots = new Map();
+const resultStore = create_result_store();
+const outputStore = create_output_store();
+
+const workflowStore = create_workflow_store();
+const sessionManager = createSessionManager({
+    on_expire: (id, session)=>{
+        element_refs.delete(id);
+        snapshots.delete(id);
+        resultStore.forget(id);
+        console.error(`Session ${id} expired after inactivity, stopping it`);
+        stop_expired(id, session.owner);
+    },
 });
+const preview_chars = 1000;
+
+function session_refs(executionId) {
+    if (!element_refs.has(executionId))
+        element_refs.set(executionId, create_element_refs());
+    return element_refs.get(executionId);
+}
+
+function forget_session(executionId) {
+    element_refs.delete(executionId);
+    snapshots.delete(executionId);
+    resultStore.forget(executionId);
+    return sessionManager.remove_session(executionId);
+}
+
+// Accepts the session's own executionId or that of any of its instruction
+// tasks, and returns the session's
+function check_session_access(executionId, client) {
+    const id = sessionManager.session_id(executionId);
+    const session = sessionManager.get_session(id);
+    if (session ? session.owner != client.id : client.remote)
+        throw new UserError(`Unknown executionId ${executionId}`);
+    return id;
+}
 
-function createSessionManager() {
-    const active_sessions = new Map();
+// {{secret:alias.field}} placeholders are filled in only here, right before
+// the instructions leave for the remote browser. The vault belongs to whoever
+// runs the server, so clients of a shared server cannot use it.
+function resolve_secrets(instructions, client) {
+    if (client.remote && instructions.some(({action})=>has_secrets(action)))
+        throw new UserError('Secrets are only available to the local stdio client');
+    return instructions.map(({action})=>({action: vault.resolve(action)}));
+}
+
+async function send_to_session(executionId, history, instructions, ctx) {
+    const {client} = ctx;
+    executionId = check_session_access(executionId, client);
+    const refs = element_refs.get(executionId);
+    const actions = instructions.map(({action})=>resolve_element_refs(action, refs));
+    instructions = resolve_secrets(actions.map(action=>({action})), client);
+    const session = sessionManager.get_session(executionId);
+    const navigations = policy.check_instructions(instructions.map(({action})=>action),
+        {navigations: session?.navigations});
+    meter.check_task(client.id, {session_created: session?.created});
+    sessionManager.update_activity(executionId, {instructions: history, navigations});
+    // per-call options apply to this call only, the session keeps its own
+    const options = merge_browser_options(session?.options, ctx.browser_options);
+    // traced before secrets are filled in, so a replay resolves them again
+    trace_event('instructions', {executionId, instructions: actions, options});
+    const task = meter.start_task(client.id);
+    let data;
+    try {
+        data = await send_session_instructions(executionId, instructions, client.api, ctx, client.project_name, options);
+        task.end({executionId});
+    } catch(e) {
+        task.end({executionId, failed: true});
+        // a timed out or cancelled task can be resumed by its own executionId
+        if (e.extras?.executionId)
+            sessionManager.add_task(executionId, e.extras.executionId);
+        throw e;
+    }
+    sessionManager.add_task(executionId, data.executionId);
+    sessionManager.update_activity(executionId, {result: data.result});
+    check_landing_url(executionId);
+    // tools hand out the session's executionId, not the task's
+    return {...data, executionId, taskId: data.executionId};
+}
+
+// Results above the store threshold are kept server side and replaced by a
+// summary pointing at the resource and read_result_chunk
+function result_text(executionId, data, owner) {
+    const text = JSON.stringify(data, null, 2);
+    if (text.length <= resultStore.threshold)
+        return text;
+    const n = resultStore.put(executionId, text, owner);
+    return JSON.stringify({
+        executionId: data.executionId,
+        resultStored: true,
+        n,
+        resourceUri: result_uri(executionId, n),
+        totalChars: text.length,
+        preview: text.slice(0, preview_chars),
+        message: `The result has ${text.length} characters. Page through it with read_result_chunk ` +
+            `(executionId "${executionId}", n ${n}) or read the resource.`,
+    }, null, 2);
+}
+
+// Redirects or clicks can take the browser somewhere the policy forbids,
+// the page is not returned then
+function check_landing_url(executionId) {
+    const url = sessionManager.get_session(executionId)?.url;
+    if (url)
+        policy.check_url(url);
+}
+
+// Every page seen in a session becomes its latest snapshot, return_diff adds
+// what changed since the previous one, or since diff_from when given
+function page_result(executionId, result, page_opts) {
+    const {return_diff, diff_from, ...opts} = page_opts || {};
+    const page = page_opts ? process_page(result, {...opts, refs: session_refs(executionId)}) : result;
+    const snapshot = page_snapshot(result, session_refs(executionId));
+    if (snapshot)
+    {
+        const previous = snapshots.get(executionId);
+        snapshots.set(executionId, snapshot);
+        if (return_diff && page && typeof page == 'object')
+            page.diff = snapshot_diff('diff_from' in page_opts ? diff_from : previous, snapshot);
+    }
+    return policy.guard(page);
+}
+
+function snapshot_diff(previous, snapshot) {
+    if (!previous)
+        return {changed: null, message: 'No earlier snapshot of this session to compare with'};
+    return diff_snapshots(previous, snapshot);
+}
+
+async function session_instructions(executionId, history, instructions, ctx, page_opts) {
+    executionId = check_session_access(executionId, ctx.client);
+    const data = await send_to_session(executionId, history, instructions, ctx);
+    data.result = page_result(executionId, data.result, page_opts);
     return {
-        track_session: (id) => {
-            active_sessions.set(id, {
-                created: Date.now(),
-                lastActivity: Date.now()
-            });
-        },
-        update_activity: (id) => {
-            const session = active_sessions.get(id);
-            if (session) {
-                session.lastActivity = Date.now();
-            }
-        },
-        get_sessions: () => Array.from(active_sessions.entries()),
-        remove_session: (id) => active_sessions.delete(id)
+        content: [{
+            type: 'text',
+            text: result_text(executionId, data)
+        }]
     };
 }
 
-const sessionManager = createSessionManager();
+async function start_session(instruction, instructions, { log, reportProgress, signal, deadline, client, browser_options }) {
+    const options = merge_browser_options({}, browser_options);
+    const body = task_body({instructions: resolve_secrets(instructions, client), project: client.project_name, options});
+    const navigations = policy.check_instructions(body.instructions.map(({action})=>action));
+    meter.check_task(client.id, {active_sessions: sessionManager.get_sessions(client.id).length});
+    log.info('Creating task', { base_url: client.api.base_url, instructionsCount: body.instructions.length });
+    const task = meter.start_task(client.id);
+    let task_id, result;
+    try {
+        const data = await client.api.create_task(body, {signal, deadline});
+        task_id = data.executionId;
+        log.info('Received task ID from API', { task_id, response_data: data });
+        if (!task_id)
+            throw new Error('No execution ID received from API');
+        sessionManager.track_session(task_id, {instruction, owner: client.id, options, navigations});
+        trace_event('instructions', {executionId: task_id, instructions: instructions.map(({action})=>action), options});
+        result = await poll_task_result(task_id, client.api, { log, reportProgress, instructions, signal, deadline });
+        task.end({executionId: task_id});
+    } catch(e) {
+        task.end({executionId: task_id, failed: true});
+        throw e;
+    }
+    sessionManager.update_activity(task_id, {result});
+    check_landing_url(task_id);
+    return {executionId: task_id, result};
+}
 
 server.addTool({
     name: 'start_new_session',
     description: 'Start a new browser session. ' +
         'Provide an instruction like "Go to https://example.com" or "Search for products on Amazon". ' +
-        'Returns executionId for the session and initial page data with interactive elements and HTML markup.',
+        'Returns executionId for the session and initial page data with interactive elements and HTML markup. ' +
+        'Page content is returned as outputFormat (markdown by default, or html, text, elements_only) within maxChars characters; ' +
+        'interactive elements are numbered so later instructions can refer to them as "element #12". ' +
+        'geoLocation, device, userAgent, locale and timezone are kept for the whole session; ' +
+        'passing them to a later session tool overrides them for that call only.',
     parameters: z.object({
         instruction: z.string(),
-        geoLocation: z.object({
-            country: z.string().optional().default('US')
-        }).optional(),
-        extractData: z.boolean().optional().default(true)
-    }),
-    execute: tool_fn('start_new_session', async ({ instruction, geoLocation, extractData }, { log, reportProgress }) => {
-        log.info('start_new_session task started', { instruction, geoLocation, extractData });
-        const url = 'https://browser.ai/api/v1/tasks';
-        const method = 'POST';
+        ...browser_params,
+        extractData: z.boolean().optional().default(true),
+        outputFormat: output_format,
+        maxChars: max_chars,
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('start_new_session', async ({ instruction, extractData, outputFormat, maxChars }, { log, reportProgress, signal, deadline, client, browser_options }) => {
+        log.info('start_new_session task started', { instruction, extractData, ...browser_options });
         const instructions = [{action: instruction}];
         if (extractData) 
         {
@@ -72,35 +333,9 @@ server.addTool({
                     'Do not add any extra text or formatting.'
             });
         }
-        const body = {
-            geoLocation: geoLocation || {country: 'US'},
-            awaitable: true,
-            instructions,
-            project: project_name,
-            type: 'crawler_automation',
-        };
-        log.info('Fetching URL', { url, method, instructionsCount: body.instructions.length });
-        let response = await fetch(url, {
-            method,
-            body: JSON.stringify(body),
-            headers: api_headers(),
-        });
-        if (!response.ok) 
-        {
-            const errorText = await response.text();
-            log.error('Failed to start new session', { status: response.status, statusText: response.statusText, error: errorText });
-            throw new Error(`Failed to start new session: ${response.status} ${response.statusText} - ${errorText}`);
-        }
-        const data = await response.json();
-        const task_id = data.executionId;
-        log.info('Received task ID from API', { task_id, response_data: data });
-        if (task_id) 
-        {
-            sessionManager.track_session(task_id);
-            let result = await poll_task_result(task_id, api_headers, { log, reportProgress, instructions });
-            return JSON.stringify({executionId: task_id, result});
-        }
-        throw new Error('No execution ID received from API');
+        const data = await start_session(instruction, instructions, { log, reportProgress, signal, deadline, client, browser_options });
+        const result = page_result(data.executionId, data.result, {format: outputFormat, max_chars: maxChars});
+        return result_text(data.executionId, {executionId: data.executionId, result});
     }),
 });
 
@@ -108,14 +343,20 @@ server.addTool({
     name: 'interact_and_extract_in_session',
     description: 'Interact with elements in an existing browser session. ' +
         'Provide an array of instructions like ["Click the login button", "Fill email field with test@example.com", "Scroll down"]. ' +
-        'Returns updated page data after the interactions.',
+        'Returns updated page data after the interactions. ' +
+        'Set returnDiff to also get what changed since the session\'s previous page snapshot.',
     parameters: z.object({
         instruction: z.string(),
         executionId: z.string(),
         extractData: z.boolean().optional().default(true),
-        waitTime: z.number().optional().default(2)
+        waitTime: z.number().optional().default(2),
+        outputFormat: output_format,
+        maxChars: max_chars,
+        returnDiff: z.boolean().optional().default(false),
+        ...browser_params,
+        timeoutSeconds: timeout_seconds,
     }),
-    execute: tool_fn('interact_and_extract_in_session', async ({ instruction, executionId, extractData, waitTime }, { log, reportProgress }) => {
+    execute: tool_fn('interact_and_extract_in_session', async ({ instruction, executionId, extractData, waitTime, outputFormat, maxChars, returnDiff }, { log, reportProgress, signal, deadline, client, browser_options }) => {
         log.info('interact_and_extract_in_session task started', { instruction, executionId, extractData, waitTime });
         const instructions_payload = [{action: instruction}];
         if (waitTime > 0) 
@@ -130,39 +371,36 @@ server.addTool({
                     'Do not add any extra text or formatting.'
             });
         }
-        sessionManager.update_activity(executionId);
-        return await send_session_instructions(
-            executionId,
-            instructions_payload,
-            api_headers,
-            { log, reportProgress },
-            project_name
-        );
+        return await session_instructions(executionId, [instruction], instructions_payload, { log, reportProgress, signal, deadline, client, browser_options },
+            { format: outputFormat, max_chars: maxChars, return_diff: returnDiff });
     }),
 });
 
 server.addTool({
     name: 'extract_from_session',
     description: 'Extract specific data from the current page in a browser session. ' +
-        'Provide an array of extraction instructions, e.g., ["Extract all product names and prices as JSON array", "Get the page title and meta description"].',
+        'Provide an array of extraction instructions, e.g., ["Extract all product names and prices as JSON array", "Get the page title and meta description"]. ' +
+        'Pass a JSON Schema as schema to get back data validated against it; invalid answers are re-requested up to maxRetries times.',
     parameters: z.object({
         instruction: z.string(),
-        executionId: z.string()
+        executionId: z.string(),
+        schema: z.record(z.any()).optional(),
+        maxRetries: z.number().int().min(0).max(5).optional().default(2),
+        ...browser_params,
+        timeoutSeconds: timeout_seconds,
     }),
-    execute: tool_fn('extract_from_session', async ({ instruction, executionId }, { log, reportProgress }) => {
-        log.info('extract_from_session task started', { instruction, executionId });
-        const instructions_payload = [{action: instruction}];
-        instructions_payload.push({action: 'Return the extracted data as a clean JSON object. ' +
-            'No additional text, explanations, or formatting. ' +
-            'Just the JSON response as specified in the extraction instruction.'});
-        sessionManager.update_activity(executionId); 
-        return await send_session_instructions(
-            executionId,
-            instructions_payload,
-            api_headers,
-            { log, reportProgress },
-            project_name
-        );
+    execute: tool_fn('extract_from_session', async ({ instruction, executionId, schema, maxRetries }, { log, reportProgress, signal, deadline, client, browser_options }) => {
+        log.info('extract_from_session task started', { instruction, executionId, hasSchema: !!schema, maxRetries });
+        const ctx = { log, reportProgress, signal, deadline, client, browser_options };
+        const data = await extract_structured({
+            instruction,
+            schema,
+            max_retries: maxRetries,
+            log,
+            send: (instructions, history)=>send_to_session(executionId, history, instructions, ctx),
+        });
+        data.result = policy.guard(data.result);
+        return JSON.stringify(data, null, 2);
     }),
 });
 
@@ -170,21 +408,20 @@ server.addTool({
     name: 'get_session_status',
     description: 'Check the current status and information of a browser session. ' +
         'Useful for debugging or verifying session state.',
-    parameters: z.object({executionId: z.string()}),
-    execute: tool_fn('get_session_status', async ({ executionId }, { log, reportProgress }) => {
+    parameters: z.object({
+        executionId: z.string(),
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('get_session_status', async ({ executionId }, { log, reportProgress, signal, deadline, client }) => {
         log.info('get_session_status task started', { executionId });
-        const url = `https://browser.ai/api/v1/tasks/${executionId}`;
-        let response = await fetch(url, {
-            method: 'GET',
-            headers: api_headers(),
-        });
-        if (!response.ok) 
-        {
-            const errorText = await response.text();
-            log.error('Failed to get session status', { status: response.status, statusText: response.statusText, error: errorText });
-            throw new Error(`Failed to get session status: ${response.status} ${response.statusText} - ${errorText}`);
-        }
-        const data = await response.json();
+        const session_id = check_session_access(executionId, client);
+        const data = await client.api.get_task(executionId, {signal, deadline});
+        check_landing_url(session_id);
+        const landed = page_state(data?.result).url;
+        if (landed)
+            policy.check_url(landed);
+        if (data?.result !== undefined)
+            data.result = policy.guard(data.result);
         return JSON.stringify(data);
     }),
 });
@@ -197,9 +434,14 @@ server.addTool({
     parameters: z.object({
         instruction: z.string(),
         executionId: z.string(),
-        timeout: z.number().optional().default(30)
+        timeout: z.number().optional().default(30),
+        outputFormat: output_format,
+        maxChars: max_chars,
+        returnDiff: z.boolean().optional().default(false),
+        ...browser_params,
+        timeoutSeconds: timeout_seconds,
     }),
-    execute: tool_fn('wait_for_element', async ({ instruction, executionId, timeout }, { log, reportProgress }) => {
+    execute: tool_fn('wait_for_element', async ({ instruction, executionId, timeout, outputFormat, maxChars, returnDiff }, { log, reportProgress, signal, deadline, client, browser_options }) => {
         log.info('wait_for_element task started', { instruction, executionId, timeout });
         const instructionsPayload = [
             {action: `Wait up to ${timeout} seconds for this element to appear: ${instruction}`},
@@ -209,13 +451,8 @@ server.addTool({
                 '{"interactive_elements": ["element1", "element2", ...], "html_markup": "complete_html_string", "element_found": true}. ' +
                 'If timeout occurs, return {"element_found": false, "error": "Element not found within timeout"}.'}
         ];
-        return await send_session_instructions(
-            executionId,
-            instructionsPayload,
-            api_headers,
-            { log, reportProgress },
-            project_name
-        );
+        return await session_instructions(executionId, [`Wait for element: ${instruction}`], instructionsPayload, { log, reportProgress, signal, deadline, client, browser_options },
+            { format: outputFormat, max_chars: maxChars, return_diff: returnDiff });
     }),
 });
 
@@ -225,9 +462,14 @@ server.addTool({
         'Useful for moving between pages while maintaining session state.',
     parameters: z.object({
         url: z.string(),
-        executionId: z.string()
+        executionId: z.string(),
+        outputFormat: output_format,
+        maxChars: max_chars,
+        returnDiff: z.boolean().optional().default(false),
+        ...browser_params,
+        timeoutSeconds: timeout_seconds,
     }),
-    execute: tool_fn('navigate_to_url', async ({ url, executionId }, { log, reportProgress }) => {
+    execute: tool_fn('navigate_to_url', async ({ url, executionId, outputFormat, maxChars, returnDiff }, { log, reportProgress, signal, deadline, client, browser_options }) => {
         log.info('navigate_to_url task started', { url, executionId });
         const instructionsPayload = [
             {action: `Navigate to ${url}`},
@@ -237,13 +479,8 @@ server.addTool({
                 '{"interactive_elements": ["element1", "element2", ...], "html_markup": "complete_html_string", "current_url": "actual_url"}. ' +
                 'Do not add any extra text or formatting.'}
         ];
-        return await send_session_instructions(
-            executionId,
-            instructionsPayload,
-            api_headers,
-            { log, reportProgress },
-            project_name
-        );
+        return await session_instructions(executionId, [`Navigate to ${url}`], instructionsPayload, { log, reportProgress, signal, deadline, client, browser_options },
+            { format: outputFormat, max_chars: maxChars, return_diff: returnDiff });
     }),
 });
 
@@ -251,8 +488,12 @@ server.addTool({
     name: 'get_page_info',
     description: 'Get comprehensive information about the current page including title, URL, meta tags, and page structure. ' +
         'Useful for understanding page context before interactions.',
-    parameters: z.object({executionId: z.string()}),
-    execute: tool_fn('get_page_info', async ({ executionId }, { log, reportProgress }) => {
+    parameters: z.object({
+        executionId: z.string(),
+        ...browser_params,
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('get_page_info', async ({ executionId }, { log, reportProgress, signal, deadline, client, browser_options }) => {
         log.info('get_page_info task started', { executionId });
         const instructionsPayload = [
             {action: 'Extract comprehensive page information including title, URL, meta description, meta keywords, and page structure'},
@@ -261,50 +502,762 @@ server.addTool({
                 '"page_structure": {"headings": ["h1", "h2", ...], "forms": ["form1", "form2", ...], "images": ["img1", "img2", ...]}}. ' +
                 'Do not add any extra text or formatting.'}
         ];
-        return await send_session_instructions(
-            executionId,
-            instructionsPayload,
-            api_headers,
-            { log, reportProgress },
-            project_name
-        );
+        return await session_instructions(executionId, ['Get page info'], instructionsPayload, { log, reportProgress, signal, deadline, client, browser_options });
     }),
 });
 
+const page_snapshot_instruction = 'Extract all clickable elements, input fields, buttons, and links from the current page. ' +
+    'Also get the complete HTML markup and current URL. ' +
+    'Return the result as a JSON object with this exact format: ' +
+    '{"interactive_elements": ["element1", "element2", ...], "html_markup": "complete_html_string", "current_url": "actual_url"}. ' +
+    'Do not add any extra text or formatting.';
+
 server.addTool({
     name: 'batch_actions',
     description: 'Execute multiple actions in sequence within a single browser session. ' +
         'Provide an array of actions to perform one after another. ' +
-        'Useful for complex workflows like login -> navigate -> extract data.',
+        'Useful for complex workflows like login -> navigate -> extract data. ' +
+        'Returns the status, error, duration and resulting URL of every action and the final page. ' +
+        'With stopOnError the batch halts at the first failed action and returns the steps run so far. ' +
+        'snapshotAfter lists 1-based action numbers after which the page is captured as well. ' +
+        'Set returnDiff to compare the final page with the page before the batch.',
     parameters: z.object({
-        actions: z.array(z.string()),
+        actions: z.array(z.string()).min(1),
         executionId: z.string(),
         stopOnError: z.boolean().optional().default(true),
-        delayBetweenActions: z.number().optional().default(1)
-    }),
-    execute: tool_fn('batch_actions', async ({ actions, executionId, stopOnError, delayBetweenActions }, { log, reportProgress }) => {
-        log.info('batch_actions task started', { actionsCount: actions.length, executionId, stopOnError, delayBetweenActions });
-        const instructions_payload = [];
-        actions.forEach((action, index) => {
-            instructions_payload.push({action});
-            if (index < actions.length - 1 && delayBetweenActions > 0) {
+        delayBetweenActions: z.number().optional().default(1),
+        snapshotAfter: z.array(z.number().int().positive()).optional().default([]),
+        outputFormat: output_format,
+        maxChars: max_chars,
+        returnDiff: z.boolean().optional().default(false),
+        ...browser_params,
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('batch_actions', async ({ actions, executionId, stopOnError, delayBetweenActions, snapshotAfter, outputFormat, maxChars, returnDiff }, { log, reportProgress, signal, deadline, client, browser_options }) => {
+        log.info('batch_actions task started', { actionsCount: actions.length, executionId, stopOnError, delayBetweenActions, snapshotAfter });
+        // progress is reported per action, not per poll of each action's task
+        const ctx = { log, signal, deadline, client, browser_options };
+        const page_opts = {format: outputFormat, max_chars: maxChars};
+        executionId = check_session_access(executionId, client);
+        const before = snapshots.get(executionId);
+        const steps = [];
+        let result, halted = false;
+        for (const [i, action] of actions.entries())
+        {
+            const last = i == actions.length - 1;
+            const snapshot = last || snapshotAfter.includes(i + 1);
+            reportProgress({progress: i, total: actions.length, message: `Step ${i + 1} of ${actions.length}: ${action}`});
+            const instructions_payload = [{action}];
+            if (!last && delayBetweenActions > 0)
                 instructions_payload.push({action: `Wait ${delayBetweenActions} seconds before next action`});
+            instructions_payload.push({action: snapshot ? page_snapshot_instruction
+                : 'Return the current page URL as a JSON object with this exact format: {"current_url": "actual_url"}. ' +
+                    'Do not add any extra text or formatting.'});
+            const ts = Date.now();
+            const step = {step: i + 1, action};
+            try {
+                const data = await send_to_session(executionId, [action], instructions_payload, ctx);
+                const page = parse_json_result(data.result);
+                Object.assign(step, {status: 'succeeded', url: page?.current_url ?? null});
+                if (last)
+                    result = page_result(executionId, data.result, {...page_opts, return_diff: returnDiff, diff_from: before});
+                else if (snapshot)
+                    step.snapshot = page_result(executionId, data.result, page_opts);
+            } catch(e) {
+                if (signal?.aborted)
+                    throw e;
+                log.warn('Batch action failed', { executionId, step: i + 1, error: e.message });
+                Object.assign(step, {status: 'failed', error: e.message, url: sessionManager.get_session(executionId)?.url ?? null});
+                halted = stopOnError;
             }
+            step.duration_ms = Date.now() - ts;
+            steps.push(step);
+            if (halted)
+                break;
+        }
+        const failed = steps.filter(s=>s.status == 'failed').length;
+        reportProgress({progress: actions.length, total: actions.length,
+            message: halted ? `Stopped at step ${steps.length} of ${actions.length}` : `Completed ${actions.length} actions`});
+        return {
+            content: [{
+                type: 'text',
+                text: result_text(executionId, {
+                    executionId,
+                    status: halted ? 'halted' : failed ? 'completed_with_errors' : 'completed',
+                    actionsCompleted: steps.length - failed,
+                    steps,
+                    result,
+                })
+            }]
+        };
+    }),
+});
+
+server.addTool({
+    name: 'diff_page',
+    description: 'Check what changed on the page of a browser session since it was last extracted, ' +
+        'e.g. to confirm that a click actually did something. Captures the current page and reports a changed URL or title, ' +
+        'added and removed interactive elements and added and removed lines of text. ' +
+        'The first call on a session only records a baseline.',
+    parameters: z.object({
+        executionId: z.string(),
+        ...browser_params,
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('diff_page', async ({ executionId }, { log, reportProgress, signal, deadline, client, browser_options }) => {
+        log.info('diff_page task started', { executionId });
+        executionId = check_session_access(executionId, client);
+        const previous = snapshots.get(executionId);
+        const data = await send_to_session(executionId, ['Check page for changes'],
+            [{action: page_snapshot_instruction}], { log, reportProgress, signal, deadline, client, browser_options });
+        const snapshot = page_snapshot(data.result, session_refs(executionId));
+        if (!snapshot)
+            throw new UserError('The browser did not return the page markup, try again');
+        snapshots.set(executionId, snapshot);
+        return JSON.stringify(policy.guard({
+            executionId,
+            url: snapshot.url,
+            title: snapshot.title,
+            ...snapshot_diff(previous, snapshot),
+        }), null, 2);
+    }),
+});
+
+// Files written to the output directory are readable as resources by their
+// owner, their server path is only of use to the local client
+function output_file(file, mime_type, client) {
+    const resourceUri = outputStore.add(file, client.id, mime_type);
+    return client.remote ? {resourceUri} : {file, resourceUri};
+}
+
+server.addTool({
+    name: 'take_screenshot',
+    description: 'Take a screenshot of the current page in an existing browser session and return it as an image. ' +
+        'Use mode "viewport" for the visible area, "full_page" for the whole page or "element" together with an element description. ' +
+        'Useful to visually verify the page state after interactions. Set save to also write the PNG to the server output directory, ' +
+        'readable through the returned resourceUri.',
+    parameters: z.object({
+        executionId: z.string(),
+        mode: z.enum(['viewport', 'full_page', 'element']).optional().default('viewport'),
+        element: z.string().optional(),
+        save: z.boolean().optional().default(false),
+        ...browser_params,
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('take_screenshot', async ({ executionId, mode, element, save }, { log, reportProgress, signal, deadline, client, browser_options }) => {
+        log.info('take_screenshot task started', { executionId, mode, element, save });
+        if (mode == 'element' && !element)
+            throw new UserError('element is required when mode is "element"');
+        const data = await send_to_session(executionId, [`Take ${mode} screenshot`],
+            [{action: screenshot_instruction(mode, element)}],
+            { log, reportProgress, signal, deadline, client, browser_options });
+        const { buffer } = await decode_capture(data.result, { signal, deadline, check_url: policy.check_url });
+        const mime_type = image_type(buffer);
+        if (!mime_type)
+            throw new UserError('The browser did not return an image');
+        const saved = save ? output_file(await save_capture(buffer, executionId, mime_type.split('/')[1]),
+            mime_type, client) : {};
+        return {
+            content: [{type: 'image', data: buffer.toString('base64'), mimeType: mime_type}, {
+                type: 'text',
+                text: JSON.stringify({executionId: data.executionId, mode, bytes: buffer.length, ...saved}, null, 2)
+            }]
+        };
+    }),
+});
+
+server.addTool({
+    name: 'save_page_pdf',
+    description: 'Print the current page of an existing browser session to PDF. ' +
+        'The PDF is written to the server output directory and returned as a resourceUri to read it from.',
+    parameters: z.object({
+        executionId: z.string(),
+        landscape: z.boolean().optional().default(false),
+        ...browser_params,
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('save_page_pdf', async ({ executionId, landscape }, { log, reportProgress, signal, deadline, client, browser_options }) => {
+        log.info('save_page_pdf task started', { executionId, landscape });
+        const data = await send_to_session(executionId, ['Save page as PDF'],
+            [{action: pdf_instruction(landscape)}],
+            { log, reportProgress, signal, deadline, client, browser_options });
+        const { buffer } = await decode_capture(data.result, { signal, deadline, check_url: policy.check_url });
+        if (!is_pdf(buffer))
+            throw new UserError('The browser did not return a PDF document');
+        const saved = output_file(await save_capture(buffer, executionId, 'pdf'), 'application/pdf', client);
+        return JSON.stringify({executionId: data.executionId, ...saved, bytes: buffer.length}, null, 2);
+    }),
+});
+
+// Each crawled or monitored page is a task of its own that is stopped once
+// the page is extracted, so neither counts against the open sessions. data is
+// returned as extracted, callers guard it.
+async function extract_page(url, instruction, follow, { log, signal, deadline, client, browser_options }) {
+    const ts = Date.now();
+    if (deadline && ts >= deadline)
+        return {status: 'skipped', error: 'The crawl ran out of time before this page'};
+    const instructions = resolve_secrets([{action: `Go to ${url}`},
+        {action: crawl_instruction(instruction, follow)}], client);
+    try {
+        policy.check_instructions([instructions[0].action]);
+        meter.check_task(client.id);
+    } catch(e) {
+        return {status: 'blocked', error: e.message};
+    }
+    const task = meter.start_task(client.id);
+    let task_id, result;
+    try {
+        const body = task_body({instructions, project: client.project_name,
+            options: merge_browser_options({}, browser_options)});
+        task_id = (await client.api.create_task(body, {signal, deadline})).executionId;
+        if (!task_id)
+            throw new Error('No execution ID received from API');
+        result = await poll_task_result(task_id, client.api, { log, instructions, signal, deadline });
+        task.end({executionId: task_id});
+    } catch(e) {
+        if (signal?.aborted)
+            throw e;
+        task.end({executionId: task_id, failed: true});
+        log.warn('Page extraction failed', { url, error: e.message });
+        return {status: 'failed', executionId: task_id, error: e.message, duration_ms: Date.now() - ts};
+    } finally {
+        // past the deadline the stop goes on without holding up the caller
+        const late = deadline && Date.now() >= deadline;
+        if (task_id && !late)
+            await stop_task(task_id, client.api, log, {deadline});
+        else if (task_id)
+            stop_task(task_id, client.api, log);
+    }
+    const landed = page_state(result).url;
+    try {
+        if (landed)
+            policy.check_url(landed);
+    } catch(e) {
+        return {status: 'blocked', executionId: task_id, error: e.message, duration_ms: Date.now() - ts};
+    }
+    const page = parse_json_result(result);
+    return {
+        status: 'succeeded',
+        executionId: task_id,
+        finalUrl: landed,
+        data: page && typeof page == 'object' && 'data' in page ? page.data : page ?? result,
+        links: page?.links,
+        linksFound: Array.isArray(page?.links) ? page.links.length : undefined,
+        duration_ms: Date.now() - ts,
+    };
+}
+
+server.addTool({
+    name: 'crawl_urls',
+    description: 'Extract data from many pages at once. Pass a list of urls, or a startUrl with maxDepth to also follow links ' +
+        '(those matching the followPattern regex, or by default those on the same host) up to maxPages pages. ' +
+        'Every given url is crawled, maxPages only limits the followed links. ' +
+        'Every page is opened in its own browser task, up to concurrency at a time, and the same instruction is applied to each. ' +
+        'Returns the status, extracted data and error of every page.',
+    parameters: z.object({
+        instruction: z.string(),
+        urls: z.array(z.string().url()).min(1).max(200).optional(),
+        startUrl: z.string().url().optional(),
+        followPattern: z.string().optional(),
+        maxDepth: z.number().int().min(0).max(5).optional().default(1),
+        maxPages: z.number().int().positive().max(200).optional().default(50),
+        concurrency: z.number().int().positive().optional().default(3),
+        ...browser_params,
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('crawl_urls', async ({ instruction, urls, startUrl, followPattern, maxDepth, maxPages, concurrency }, { log, reportProgress, signal, deadline, client, browser_options }) => {
+        if (!urls == !startUrl)
+            throw new UserError('Pass either urls or startUrl');
+        const follow = startUrl && maxDepth > 0 ? link_filter(startUrl, followPattern) : null;
+        concurrency = Math.min(concurrency, crawl_defaults.max_concurrency);
+        log.info('crawl_urls task started', { urls: urls?.length, startUrl, followPattern, maxDepth, maxPages, concurrency });
+        const ctx = { log, signal, deadline, client, browser_options };
+        const pages = await crawl({
+            urls: urls || [startUrl],
+            max_depth: follow ? maxDepth : 0,
+            max_pages: maxPages,
+            concurrency,
+            follow,
+            visit: async url=>{
+                const page = await extract_page(url, instruction, !!follow, ctx);
+                return 'data' in page ? {...page, data: policy.guard(page.data)} : page;
+            },
+            on_progress: ({done, total, url, status})=>reportProgress({progress: done, total,
+                message: `Crawled ${done} of ${total}: ${url} ${status}`}),
         });
-        instructions_payload.push({
-            action: 'After completing all actions, extract all clickable elements, input fields, buttons, and links from the final page. ' +
-                'Also get the complete HTML markup. ' +
-                'Return the result as a JSON object with this exact format: ' +
-                '{"interactive_elements": ["element1", "element2", ...], "html_markup": "complete_html_string", "actions_completed": ' + actions.length + '}. ' +
-                'Do not add any extra text or formatting.'
+        const summary = {total: pages.length};
+        for (const status of ['succeeded', 'failed', 'blocked', 'skipped'])
+            summary[status] = pages.filter(p=>p.status == status).length;
+        const crawl_id = `crawl-${crypto.randomUUID()}`;
+        return result_text(crawl_id, {
+            crawlId: crawl_id,
+            status: summary.succeeded == pages.length ? 'completed' : 'completed_with_errors',
+            summary,
+            pages,
+        }, client.id);
+    }),
+});
+
+const monitorStore = create_monitor_store();
+// MCP sessions told about changes of each owner's monitors: the stdio client,
+// and remote sessions once they create or list monitors
+const monitor_listeners = new Map();
+const monitor_log = {debug: ()=>{}, info: ()=>{}, warn: console.error, error: console.error};
+
+function listen_monitors(owner, mcp_session) {
+    if (!mcp_session)
+        return;
+    if (!monitor_listeners.has(owner))
+        monitor_listeners.set(owner, new Set());
+    monitor_listeners.get(owner).add(mcp_session);
+}
+
+server.on('connect', ({session})=>{
+    if (!remote)
+        listen_monitors(local_owner, session);
+});
+server.on('disconnect', ({session})=>{
+    for (const listeners of monitor_listeners.values())
+        listeners.delete(session);
+});
+
+function monitor_view(monitor, history_limit = monitor.history.length) {
+    const {owner, project, intervalMs, lastValue, history, ...rest} = monitor;
+    const iso = ts=>ts && new Date(ts).toISOString();
+    return {
+        ...rest,
+        intervalMinutes: intervalMs / 60000,
+        created: iso(monitor.created),
+        lastRun: iso(monitor.lastRun),
+        nextRun: iso(monitor.nextRun),
+        lastChange: iso(monitor.lastChange),
+        lastValue: policy.guard(lastValue),
+        history: history.slice(-history_limit).map(entry=>({...entry, ts: iso(entry.ts),
+            value: policy.guard(entry.value)})),
+        resourceUri: monitor_uri(monitor.id),
+    };
+}
+
+function notify_monitor_change(monitor, entry, previous) {
+    const uri = monitor_uri(monitor.id);
+    const data = vault.redact({
+        event: 'monitor_changed',
+        monitorId: monitor.id,
+        name: monitor.name,
+        url: monitor.url,
+        previous: policy.guard(previous),
+        value: policy.guard(entry.value),
+        ts: new Date(entry.ts).toISOString(),
+        resourceUri: uri,
+    });
+    for (const mcp_session of monitor_listeners.get(monitor.owner) || [])
+    {
+        const notify = (method, params)=>mcp_session.server[method](params).catch(e=>
+            console.error(`Failed to notify about monitor ${monitor.id}: ${e.message}`));
+        notify('sendLoggingMessage', {level: 'notice', logger: 'browserai-monitor', data});
+        notify('sendResourceUpdated', {uri});
+    }
+}
+
+// Remote clients are only known once they connected since the server started,
+// until then their monitors wait
+async function run_monitor(monitor, { signal, deadline } = {}) {
+    const client = monitor.owner == local_owner ? get_client(api_token, project_name, local_owner)
+        : [...clients.values()].find(c=>c.id == monitor.owner && c.project_name == monitor.project);
+    if (!client)
+    {
+        monitorStore.postpone(monitor.id);
+        return null;
+    }
+    let page;
+    try {
+        page = await extract_page(monitor.url, monitor.instruction, false,
+            { log: monitor_log, signal, deadline, client, browser_options: monitor.options });
+    } catch(e) {
+        page = {status: 'failed', error: e.message};
+    }
+    const run = monitorStore.record(monitor.id, page.status == 'succeeded'
+        ? {status: page.status, value: page.data} : {status: page.status, error: page.error});
+    if (run?.entry.changed)
+        notify_monitor_change(run.monitor, run.entry, run.previous);
+    return run;
+}
+
+function get_monitor(monitorId, client) {
+    const monitor = monitorStore.get(monitorId);
+    if (!monitor || monitor.owner != client.id)
+        throw new UserError(`Unknown monitorId ${monitorId}`);
+    return monitor;
+}
+
+server.addTool({
+    name: 'create_monitor',
+    description: 'Watch a page: every intervalMinutes the server opens the url in a fresh browser task, applies the extraction ' +
+        'instruction and keeps the result history. When the extracted value changes it sends a notice log message and a ' +
+        'resource updated notification for the monitor resourceUri. Runs the first check right away and returns the monitor.',
+    parameters: z.object({
+        url: z.string().url(),
+        instruction: z.string(),
+        intervalMinutes: z.number().positive(),
+        name: z.string().optional(),
+        ...browser_params,
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('create_monitor', async ({ url, instruction, intervalMinutes, name }, { log, signal, deadline, client, browser_options, mcp_session }) => {
+        log.info('create_monitor task started', { url, intervalMinutes, name });
+        policy.check_url(url);
+        const monitor = monitorStore.add({owner: client.id, project: client.project_name, name, url, instruction,
+            interval_ms: intervalMinutes * 60000, options: browser_options});
+        listen_monitors(client.id, mcp_session);
+        await run_monitor(monitor, { signal, deadline });
+        return JSON.stringify(monitor_view(monitor, 1), null, 2);
+    }),
+});
+
+server.addTool({
+    name: 'list_monitors',
+    description: 'List your page monitors with their last value, when they last ran and changed, and their latest results. ' +
+        'Also subscribes this connection to change notifications of your monitors.',
+    parameters: z.object({
+        historyLimit: z.number().int().min(0).optional().default(5),
+    }),
+    execute: tool_fn('list_monitors', async ({ historyLimit }, { log, client, mcp_session }) => {
+        log.info('list_monitors task started', { historyLimit });
+        listen_monitors(client.id, mcp_session);
+        const monitors = monitorStore.list(client.id).map(m=>monitor_view(m, historyLimit));
+        return JSON.stringify({monitors, totalMonitors: monitors.length}, null, 2);
+    }),
+});
+
+server.addTool({
+    name: 'delete_monitor',
+    description: 'Stop and delete a page monitor together with its result history.',
+    parameters: z.object({monitorId: z.string()}),
+    execute: tool_fn('delete_monitor', async ({ monitorId }, { log, client }) => {
+        log.info('delete_monitor task started', { monitorId });
+        get_monitor(monitorId, client);
+        return JSON.stringify({monitorId, deleted: monitorStore.remove(monitorId)});
+    }),
+});
+
+server.addResourceTemplate({
+    uriTemplate: monitor_uri_template,
+    name: 'Page monitor',
+    description: 'A page monitor with its full result history',
+    mimeType: 'application/json',
+    arguments: [{name: 'id', description: 'Monitor id'}],
+    load: async ({id})=>{
+        const monitor = get_monitor(decodeURIComponent(id), resource_client());
+        return {text: JSON.stringify(vault.redact(monitor_view(monitor)), null, 2)};
+    },
+});
+
+start_monitor_scheduler({store: monitorStore, check: run_monitor});
+
+server.addTool({
+    name: 'save_workflow',
+    description: 'Save a reusable sequence of browser steps, e.g. login -> navigate -> extract, under a name. ' +
+        'Steps and extraction instructions may contain {{variable}} placeholders that are filled by run_workflow. ' +
+        'Each step can wait waitSeconds afterwards and extract data with an optional JSON Schema; ' +
+        'extract describes a final extraction. Saving an existing name replaces it.',
+    parameters: z.object(workflow_params),
+    execute: tool_fn('save_workflow', async (workflow, { log, client }) => {
+        log.info('save_workflow task started', { name: workflow.name, steps: workflow.steps.length });
+        const file = await workflowStore.for_owner(client.id).save(workflow);
+        const variables = [...workflow_variables([workflow.steps, workflow.extract])];
+        // server paths mean nothing to remote clients
+        return JSON.stringify({name: workflow.name, file: client.remote ? undefined : file, variables}, null, 2);
+    }),
+});
+
+server.addTool({
+    name: 'list_workflows',
+    description: 'List saved workflows with their description, steps and the variables run_workflow needs.',
+    parameters: z.object({}),
+    execute: tool_fn('list_workflows', async ({}, { log, client }) => {
+        log.info('list_workflows task started');
+        const store = workflowStore.for_owner(client.id);
+        const workflows = (await store.list()).map(w=>w.error ? w : {
+            name: w.name,
+            description: w.description,
+            variables: [...workflow_variables([w.steps, w.extract])],
+            defaults: w.defaults,
+            steps: w.steps.map(step=>step.action),
+            extract: w.extract?.instruction,
+            updated: w.updated,
         });
-        return await send_session_instructions(
+        return JSON.stringify({workflows, dir: client.remote ? undefined : store.dir}, null, 2);
+    }),
+});
+
+server.addTool({
+    name: 'delete_workflow',
+    description: 'Delete a saved workflow.',
+    parameters: z.object({name: z.string()}),
+    execute: tool_fn('delete_workflow', async ({ name }, { log, client }) => {
+        log.info('delete_workflow task started', { name });
+        return JSON.stringify({name, deleted: await workflowStore.for_owner(client.id).remove(name)});
+    }),
+});
+
+server.addTool({
+    name: 'run_workflow',
+    description: 'Run a saved workflow step by step. ' +
+        'Starts a new browser session like start_new_session, or continues the session given as executionId. ' +
+        'Pass values for the workflow {{variables}} in variables. Returns the status and result of every step and the final extraction.',
+    parameters: z.object({
+        name: z.string(),
+        variables: z.record(z.string()).optional().default({}),
+        executionId: z.string().optional(),
+        ...browser_params,
+        stopOnError: z.boolean().optional().default(true),
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('run_workflow', async ({ name, variables, executionId, stopOnError }, { log, reportProgress, signal, deadline, client, browser_options }) => {
+        log.info('run_workflow task started', { name, executionId, variables: Object.keys(variables) });
+        const workflow = prepare_workflow(await workflowStore.for_owner(client.id).get(name), variables);
+        const ctx = { log, reportProgress, signal, deadline, client, browser_options };
+        const total = workflow.steps.length + (workflow.extract ? 1 : 0);
+        const steps = [];
+        let session_id = executionId, failed = false;
+        const extract = ({instruction, schema})=>extract_structured({
+            instruction,
+            schema,
+            log,
+            send: (instructions, history)=>send_to_session(session_id, history, instructions, ctx),
+        });
+        for (const [i, step] of workflow.steps.entries())
+        {
+            reportProgress({progress: i, total, message: `Step ${i + 1} of ${total}: ${step.action}`});
+            const ts = Date.now();
+            const instructions = [{action: step.action}];
+            if (step.waitSeconds)
+                instructions.push({action: `Wait ${step.waitSeconds} seconds for the page to update`});
+            const entry = {step: i + 1, action: step.action};
+            try {
+                const data = session_id
+                    ? await send_to_session(session_id, [step.action], instructions, ctx)
+                    : await start_session(step.action, instructions, ctx);
+                session_id = session_id || data.executionId;
+                if (step.extract)
+                    entry.extracted = policy.guard((await extract({instruction: step.extract, schema: step.schema})).result);
+                else
+                    entry.result = policy.guard(parse_json_result(data.result) ?? data.result);
+                entry.status = 'succeeded';
+            } catch(e) {
+                if (signal?.aborted)
+                    throw e;
+                log.warn('Workflow step failed', { name, step: i + 1, error: e.message });
+                Object.assign(entry, {status: 'failed', error: e.message});
+                failed = true;
+            }
+            entry.duration_ms = Date.now() - ts;
+            steps.push(entry);
+            if (failed && (stopOnError || !session_id))
+                break;
+        }
+        const output = {workflow: name, executionId: session_id, status: failed ? 'failed' : 'completed', steps};
+        if (workflow.extract && session_id && (!failed || !stopOnError))
+        {
+            reportProgress({progress: total - 1, total, message: `Step ${total} of ${total}: final extraction`});
+            try {
+                output.extracted = policy.guard((await extract(workflow.extract)).result);
+            } catch(e) {
+                if (signal?.aborted)
+                    throw e;
+                output.status = 'failed';
+                output.extractError = e.message;
+            }
+        }
+        reportProgress({progress: total, total, message: `Workflow "${name}" ${output.status}`});
+        return result_text(session_id || name, output);
+    }),
+});
+
+// Results of crawls and other session-less tools carry their owner, the
+// others belong to whoever owns their session
+function stored_result(executionId, n, client) {
+    let entry = resultStore.get(executionId, n);
+    if (entry?.owner)
+    {
+        if (entry.owner != client.id)
+            throw new UserError(`Unknown executionId ${executionId}`);
+    }
+    else
+    {
+        executionId = check_session_access(executionId, client);
+        entry = resultStore.get(executionId, n);
+    }
+    if (!entry)
+        throw new UserError(`No stored result ${n ?? ''} for executionId ${executionId}`);
+    return entry;
+}
+
+server.addTool({
+    name: 'read_result_chunk',
+    description: 'Read part of a large result that a tool stored server side instead of returning it in full. ' +
+        'Pass the executionId and n from the tool response, then keep reading from nextOffset until it is null.',
+    parameters: z.object({
+        executionId: z.string(),
+        n: z.number().int().positive().optional(),
+        offset: z.number().int().min(0).optional().default(0),
+        length: z.number().int().positive().max(100000).optional().default(10000),
+    }),
+    execute: tool_fn('read_result_chunk', async ({ executionId, n, offset, length }, { log, client }) => {
+        log.info('read_result_chunk task started', { executionId, n, offset, length });
+        const entry = stored_result(executionId, n, client);
+        return JSON.stringify(resultStore.read(entry, offset, length), null, 2);
+    }),
+});
+
+server.addResourceTemplate({
+    uriTemplate: result_uri_template,
+    name: 'Stored session result',
+    description: 'Full text of a large tool result stored for a browser session',
+    mimeType: 'application/json',
+    arguments: [
+        {name: 'executionId', description: 'Session executionId'},
+        {name: 'n', description: 'Result number within the session'},
+    ],
+    load: async ({executionId, n})=>{
+        const entry = stored_result(decodeURIComponent(executionId), +n, resource_client());
+        return {text: entry.text};
+    },
+});
+
+server.addResourceTemplate({
+    uriTemplate: output_uri_template,
+    name: 'Saved output file',
+    description: 'A screenshot, PDF or session trace export written to the server output directory',
+    mimeType: 'application/octet-stream',
+    arguments: [{name: 'name', description: 'File name'}],
+    load: async ({name})=>{
+        name = decodeURIComponent(name);
+        const entry = outputStore.get(name);
+        if (!entry || entry.owner != resource_client().id)
+            throw new UserError(`Unknown output file ${name}`);
+        return await read_output(entry);
+    },
+});
+
+function get_trace(executionId, client) {
+    const trace = traceStore.get(executionId);
+    if (!trace || trace.owner != client.id)
+        throw new UserError(`No trace for executionId ${executionId}`);
+    return trace;
+}
+
+server.addTool({
+    name: 'export_session_trace',
+    description: 'Export the trace of a browser session: every tool call made against its executionId with the instructions sent, ' +
+        'the task statuses seen, timings and results. Writes a JSON file, which replay_session_trace accepts, and a ' +
+        'self-contained HTML report to the server output directory and returns resource URIs to read them from. ' +
+        'Traces are kept after the session is closed.',
+    parameters: z.object({executionId: z.string()}),
+    execute: tool_fn('export_session_trace', async ({ executionId }, { log, client }) => {
+        log.info('export_session_trace task started', { executionId });
+        const trace = get_trace(executionId, client);
+        const files = await save_trace(trace);
+        const json = output_file(files.json, 'application/json', client);
+        const html = output_file(files.html, 'text/html', client);
+        return JSON.stringify({
             executionId,
-            instructions_payload,
-            api_headers,
-            { log, reportProgress },
-            project_name
-        );
+            json: json.file,
+            html: html.file,
+            jsonResourceUri: json.resourceUri,
+            htmlResourceUri: html.resourceUri,
+            calls: trace.calls.length,
+            replaySteps: replay_steps(trace_json(trace)).length,
+        }, null, 2);
+    }),
+});
+
+server.addTool({
+    name: 'replay_session_trace',
+    description: 'Re-run the instructions recorded in a session trace, in order, in a fresh browser session. ' +
+        'Pass the executionId of a traced session or the file written by export_session_trace. ' +
+        'Returns the new executionId, the outcome of every step and the final page; ' +
+        'with stopOnError false the replay carries on after a failed step.',
+    parameters: z.object({
+        executionId: z.string().optional(),
+        file: z.string().optional(),
+        stopOnError: z.boolean().optional().default(true),
+        outputFormat: output_format,
+        maxChars: max_chars,
+        ...browser_params,
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('replay_session_trace', async ({ executionId, file, stopOnError, outputFormat, maxChars }, { log, reportProgress, signal, deadline, client, browser_options }) => {
+        log.info('replay_session_trace task started', { executionId, file, stopOnError });
+        if (!executionId == !file)
+            throw new UserError('Pass either executionId or file');
+        if (file && client.remote)
+            throw new UserError('Trace files are only available to the local stdio client');
+        const trace = file ? await load_trace(file) : trace_json(get_trace(executionId, client));
+        const steps = replay_steps(trace);
+        if (!steps.length)
+            throw new UserError('The trace has no instructions to replay');
+        const replayed = [];
+        let session_id, last;
+        for (const [i, step] of steps.entries())
+        {
+            reportProgress?.({progress: i, total: steps.length,
+                message: `Replaying step ${i + 1} of ${steps.length} (${step.tool})`});
+            const instructions = step.instructions.map(action=>({action}));
+            const ctx = { log, signal, deadline, client, browser_options: {...step.options, ...browser_options} };
+            const ts = Date.now();
+            try {
+                const data = session_id
+                    ? await send_to_session(session_id, [step.instructions[0]], instructions, ctx)
+                    : await start_session(step.instructions[0], instructions, ctx);
+                session_id = session_id || data.executionId;
+                last = data;
+                replayed.push({step: i + 1, tool: step.tool, status: 'succeeded', duration_ms: Date.now() - ts});
+            } catch(e) {
+                if (!session_id || signal?.aborted)
+                    throw e;
+                replayed.push({step: i + 1, tool: step.tool, status: 'failed', error: e.message, duration_ms: Date.now() - ts});
+                if (stopOnError)
+                    break;
+            }
+        }
+        const failed = replayed.some(s=>s.status == 'failed');
+        return result_text(session_id, {
+            executionId: session_id,
+            replayedFrom: trace.executionId,
+            status: failed ? 'completed_with_errors' : 'completed',
+            totalSteps: steps.length,
+            steps: replayed,
+            result: page_result(session_id, last.result, {format: outputFormat, max_chars: maxChars}),
+        });
+    }),
+});
+
+server.addTool({
+    name: 'list_credentials',
+    description: 'List the credential aliases and field names stored in the server vault, never their values. ' +
+        'Use them in any instruction as {{secret:alias.field}}, e.g. "Fill the password field with {{secret:github.password}}"; ' +
+        'the server fills them in before the instruction reaches the browser and masks them in results.',
+    parameters: z.object({}),
+    execute: tool_fn('list_credentials', async ({}, { log, client }) => {
+        log.info('list_credentials task started');
+        if (client.remote)
+            return JSON.stringify({credentials: [], message: 'Secrets are only available to the local stdio client'});
+        return JSON.stringify({credentials: vault.aliases()}, null, 2);
+    }),
+});
+
+server.addTool({
+    name: 'get_usage_stats',
+    description: 'Show usage of this server since it started: calls, failures, duration and bytes returned per tool and per session, ' +
+        'remote task counts and durations, and the configured limits with how much of them is used.',
+    parameters: z.object({}),
+    execute: tool_fn('get_usage_stats', async ({}, { log, client }) => {
+        log.info('get_usage_stats task started');
+        return JSON.stringify({
+            ...meter.stats(client.id),
+            activeSessions: sessionManager.get_sessions(client.id).length,
+        }, null, 2);
     }),
 });
 
@@ -313,14 +1266,19 @@ server.addTool({
     description: 'List all currently active browser sessions with their status and basic information. ' +
         'Useful for session management and debugging.',
     parameters: z.object({}),
-    execute: tool_fn('list_active_sessions', async ({}, { log, reportProgress }) => {
+    execute: tool_fn('list_active_sessions', async ({}, { log, reportProgress, client }) => {
         log.info('list_active_sessions task started');
-        const sessions = sessionManager.get_sessions();
+        const sessions = sessionManager.get_sessions(client.id);
         const sessionData = sessions.map(([id, data]) => ({
             executionId: id,
             created: new Date(data.created).toISOString(),
             lastActivity: new Date(data.lastActivity).toISOString(),
-            ageMinutes: Math.round((Date.now() - data.created) / 60000)
+            expiresAt: new Date(data.lastActivity + sessionManager.idle_timeout_ms).toISOString(),
+            ageMinutes: Math.round((Date.now() - data.created) / 60000),
+            url: data.url,
+            title: data.title,
+            options: data.options,
+            history: data.history,
         }));
         return JSON.stringify({
             activeSessions: sessionData,
@@ -330,6 +1288,57 @@ server.addTool({
     }),
 });
 
+server.addTool({
+    name: 'close_session',
+    description: 'Close a browser session: stop the remote task and forget the session. ' +
+        'Use it once a flow is done so the session does not linger until it expires.',
+    parameters: z.object({
+        executionId: z.string(),
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('close_session', async ({ executionId }, { log, signal, deadline, client }) => {
+        log.info('close_session task started', { executionId });
+        executionId = check_session_access(executionId, client);
+        const stopped = await stop_task(executionId, client.api, log, {signal, deadline});
+        const removed = forget_session(executionId);
+        return JSON.stringify({executionId, stopped, removed});
+    }),
+});
+
+server.addTool({
+    name: 'close_all_sessions',
+    description: 'Close every tracked browser session, stopping their remote tasks.',
+    parameters: z.object({
+        timeoutSeconds: timeout_seconds,
+    }),
+    execute: tool_fn('close_all_sessions', async ({}, { log, signal, deadline, client }) => {
+        log.info('close_all_sessions task started');
+        const closed = [];
+        for (const [id] of sessionManager.get_sessions(client.id))
+        {
+            const stopped = await stop_task(id, client.api, log, {signal, deadline});
+            forget_session(id);
+            closed.push({executionId: id, stopped});
+        }
+        return JSON.stringify({closed, totalClosed: closed.length});
+    }),
+});
+
 console.error('Starting server...');
-server.start({transportType: 'stdio'});
+if (args.transport == 'http')
+{
+    server.start({
+        transportType: 'httpStream',
+        httpStream: {endpoint: args.endpoint || '/mcp', port: +args.port},
+    });
+}
+else if (args.transport == 'sse')
+{
+    server.start({
+        transportType: 'sse',
+        sse: {endpoint: args.endpoint || '/sse', port: +args.port},
+    });
+}
+else
+    server.start({transportType: 'stdio'});
 
@@ -0,0 +1,140 @@
+'use strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const default_file = path.join(os.homedir(), '.browserai-mcp', 'sessions.json');
+const max_history = 50;
+export const local_owner = 'local';
+
+function parse_result(result) {
+    if (typeof result != 'string')
+        return result;
+    try {
+        return JSON.parse(result.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+    } catch(e) {
+        return null;
+    }
+}
+
+// best effort, the remote browser returns whatever shape it likes
+export function page_state(result) {
+    const data = parse_result(result);
+    if (!data || typeof data != 'object')
+        return {};
+    const state = {};
+    const url = data.current_url || data.url;
+    if (typeof url == 'string')
+        state.url = url;
+    if (typeof data.title == 'string')
+        state.title = data.title;
+    return state;
+}
+
+export function createSessionManager({
+    file = process.env.SESSIONS_FILE || default_file,
+    idle_timeout_ms = (+process.env.SESSION_IDLE_TIMEOUT_MINUTES || 30) * 60000,
+    sweep_interval_ms = 60000,
+    on_expire,
+} = {}) {
+    const active_sessions = new Map();
+    const load = ()=>{
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch(e) {
+            if (e.code != 'ENOENT')
+                console.error(`Failed to load session registry ${file}: ${e.message}`);
+            return;
+        }
+        for (const [id, session] of Object.entries(data.sessions || {}))
+            active_sessions.set(id, {owner: local_owner, ...session});
+    };
+    const save = ()=>{
+        const tmp = `${file}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(file), {recursive: true});
+            fs.writeFileSync(tmp, JSON.stringify({
+                sessions: Object.fromEntries(active_sessions),
+            }, null, 2));
+            fs.renameSync(tmp, file);
+        } catch(e) {
+            console.error(`Failed to save session registry ${file}: ${e.message}`);
+        }
+    };
+    const is_expired = (session, now = Date.now())=>
+        now - session.lastActivity > idle_timeout_ms;
+    const sweep = ()=>{
+        const expired = [...active_sessions].filter(([, s])=>is_expired(s));
+        if (!expired.length)
+            return;
+        for (const [id, session] of expired)
+        {
+            active_sessions.delete(id);
+            on_expire?.(id, session);
+        }
+        save();
+    };
+    load();
+    sweep();
+    setInterval(sweep, sweep_interval_ms).unref();
+    return {
+        track_session: (id, {instruction, owner = local_owner, options = {}, navigations = 0} = {})=>{
+            const now = Date.now();
+            active_sessions.set(id, {
+                owner,
+                options,
+                navigations,
+                created: now,
+                lastActivity: now,
+                url: null,
+                title: null,
+                history: instruction ? [{instruction, ts: now}] : [],
+            });
+            save();
+        },
+        update_activity: (id, {instructions = [], result, navigations = 0} = {})=>{
+            const session = active_sessions.get(id);
+            if (!session)
+                return;
+            const now = Date.now();
+            session.lastActivity = now;
+            session.navigations = (session.navigations || 0) + navigations;
+            for (const instruction of instructions)
+                session.history.push({instruction, ts: now});
+            session.history.splice(0, session.history.length - max_history);
+            if (result !== undefined)
+                Object.assign(session, page_state(result));
+            save();
+        },
+        // Every instruction batch runs as a task with an executionId of its
+        // own, remember them so they stand for the session that sent them
+        add_task: (id, task_id)=>{
+            const session = active_sessions.get(id);
+            if (!session || task_id == id || session.tasks?.includes(task_id))
+                return;
+            session.tasks = [...session.tasks || [], task_id].slice(-max_history);
+            save();
+        },
+        session_id: id=>{
+            if (active_sessions.has(id))
+                return id;
+            for (const [session_id, session] of active_sessions)
+            {
+                if (session.tasks?.includes(id))
+                    return session_id;
+            }
+            return id;
+        },
+        get_session: id=>active_sessions.get(id),
+        get_sessions: owner=>Array.from(active_sessions.entries())
+            .filter(([, session])=>!owner || session.owner == owner),
+        remove_session: id=>{
+            const removed = active_sessions.delete(id);
+            if (removed)
+                save();
+            return removed;
+        },
+        idle_timeout_ms,
+    };
+}
@@ -0,0 +1,99 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {decode_capture, image_type, is_private_address} from '../capture.js';
+import {start_server} from './helpers.js';
+
+const png = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+const pdf = Buffer.from('%PDF-1.4\n%mock\n').toString('base64');
+
+describe('capture tools', ()=>{
+    let ctx, id, output_dir;
+    before(async ()=>{
+        output_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'browserai-output-'));
+        ctx = await start_server({
+            env: {OUTPUT_DIR: output_dir},
+            mock_opts: {rules: [
+                {match: 'element of the current page: internal', result: JSON.stringify({url: 'http://127.0.0.1:9/admin'})},
+                {match: 'element of the current page: text', result: JSON.stringify({data: Buffer.from('hello').toString('base64')})},
+                {match: 'PNG screenshot', result: JSON.stringify({data: png, mime_type: 'image/png'})},
+                {match: 'PDF document', result: '```json\n' + JSON.stringify({data: pdf}) + '\n```'},
+            ]},
+        });
+        ({data: {executionId: id}} = await ctx.call('start_new_session',
+            {instruction: 'Go to https://example.com'}));
+    });
+    after(async ()=>{
+        await ctx.close();
+        fs.rmSync(output_dir, {recursive: true, force: true});
+    });
+
+    it('take_screenshot returns an image block', async ()=>{
+        const res = await ctx.call('take_screenshot', {executionId: id, mode: 'full_page', save: true});
+        assert.ok(!res.isError, res.text);
+        const image = res.content.find(c=>c.type == 'image');
+        assert.equal(image.mimeType, 'image/png');
+        assert.equal(image.data, png);
+        assert.equal(res.data.mode, 'full_page');
+        assert.equal(path.dirname(res.data.file), output_dir);
+        assert.deepEqual(fs.readFileSync(res.data.file), Buffer.from(png, 'base64'));
+        const resource = await ctx.client.readResource({uri: res.data.resourceUri});
+        assert.deepEqual([resource.contents[0].blob, resource.contents[0].mimeType], [png, 'image/png']);
+        const sent = ctx.mock.requests.filter(r=>r.path == `/tasks/${id}/instructions`).at(-1);
+        assert.match(sent.body.instructions[0].action, /full current page/);
+    });
+
+    it('take_screenshot needs an element description in element mode', async ()=>{
+        const res = await ctx.call('take_screenshot', {executionId: id, mode: 'element'});
+        assert.ok(res.isError);
+        assert.match(res.text, /element is required/);
+    });
+
+    it('take_screenshot refuses plain http links and non-images', async ()=>{
+        const internal = await ctx.call('take_screenshot', {executionId: id, mode: 'element', element: 'internal'});
+        assert.ok(internal.isError);
+        assert.match(internal.text, /only https is allowed/);
+        const text = await ctx.call('take_screenshot', {executionId: id, mode: 'element', element: 'text'});
+        assert.ok(text.isError);
+        assert.match(text.text, /did not return an image/);
+    });
+
+    it('save_page_pdf writes the PDF to the output directory', async ()=>{
+        const res = await ctx.call('save_page_pdf', {executionId: id});
+        assert.ok(!res.isError, res.text);
+        assert.equal(path.extname(res.data.file), '.pdf');
+        assert.equal(fs.readFileSync(res.data.file, 'latin1').slice(0, 5), '%PDF-');
+    });
+});
+
+describe('capture downloads', ()=>{
+    it('only fetches https links the policy allows, up to max_bytes', async ()=>{
+        await assert.rejects(decode_capture(JSON.stringify({url: 'file:///etc/passwd'})), /only https is allowed/);
+        await assert.rejects(decode_capture(JSON.stringify({url: 'https://internal.test/x'}), {check_url: url=>{
+            throw new Error(`blocked ${url}`);
+        }}), /blocked https:\/\/internal\.test\/x/);
+        await assert.rejects(decode_capture(JSON.stringify({data: png}), {max_bytes: 10}), /larger than 10 bytes/);
+    });
+
+    it('refuses links to the server network', async ()=>{
+        for (const url of ['https://localhost/x.png', 'https://10.1.2.3/x.png', 'https://169.254.169.254/x',
+            'https://[::1]/x.png', 'https://[::ffff:127.0.0.1]/x.png'])
+        {
+            await assert.rejects(decode_capture(JSON.stringify({url})), /private address/);
+        }
+        assert.ok(is_private_address('192.168.1.1'));
+        assert.ok(is_private_address('fe80::1'));
+        assert.ok(!is_private_address('93.184.216.34'));
+        assert.ok(!is_private_address('2606:2800:220:1::'));
+    });
+
+    it('recognises images by their bytes', ()=>{
+        assert.equal(image_type(Buffer.from(png, 'base64')), 'image/png');
+        assert.equal(image_type(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+        assert.equal(image_type(Buffer.from('<html>')), null);
+    });
+});
+
@@ -0,0 +1,107 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {crawl, link_filter} from '../crawl.js';
+import {start_server} from './helpers.js';
+
+describe('crawl scheduler', ()=>{
+    it('caps concurrency and keeps the input order', async ()=>{
+        let active = 0, max_active = 0;
+        const urls = Array.from({length: 8}, (_, i)=>`https://a.test/${i}`);
+        const pages = await crawl({urls, concurrency: 3, visit: async url=>{
+            max_active = Math.max(max_active, ++active);
+            await new Promise(resolve=>setTimeout(resolve, 20 - url.slice(-1) * 2));
+            active--;
+            return {status: 'succeeded'};
+        }});
+        assert.equal(max_active, 3);
+        assert.deepEqual(pages.map(p=>p.url), urls);
+    });
+
+    it('follows matching links breadth first up to depth and page limits', async ()=>{
+        const links = {
+            'https://a.test/': ['https://a.test/1', 'https://a.test/2#top', 'https://b.test/x'],
+            'https://a.test/1': ['https://a.test/', 'https://a.test/3'],
+            'https://a.test/3': ['https://a.test/4'],
+        };
+        const visit = async url=>({status: 'succeeded', links: links[url]});
+        const follow = link_filter('https://a.test/');
+        const pages = await crawl({urls: ['https://a.test/'], max_depth: 2, max_pages: 10, follow, visit});
+        assert.deepEqual(pages.map(p=>[p.url, p.depth]), [
+            ['https://a.test/', 0], ['https://a.test/1', 1], ['https://a.test/2', 1], ['https://a.test/3', 2],
+        ]);
+        assert.ok(!('links' in pages[0]));
+        const limited = await crawl({urls: ['https://a.test/'], max_depth: 2, max_pages: 2, follow, visit});
+        assert.equal(limited.length, 2);
+        const urls = Array.from({length: 80}, (_, i)=>`https://a.test/${i}`);
+        const listed = await crawl({urls, max_pages: 50, concurrency: 5, visit: async ()=>({status: 'succeeded'})});
+        assert.deepEqual(listed.map(p=>p.url), urls);
+    });
+
+    it('validates the follow pattern', ()=>{
+        assert.ok(link_filter('https://a.test/', '/products/\\d+$')('https://b.test/products/12'));
+        assert.throws(()=>link_filter('https://a.test/', '('), /Invalid followPattern/);
+    });
+});
+
+describe('crawl_urls', ()=>{
+    let ctx;
+    before(async ()=>{
+        ctx = await start_server({mock_opts: {rules: [
+            {match: 'Go to https://shop\\.test/\\n', result: JSON.stringify({data: {title: 'Home'},
+                current_url: 'https://shop.test/', links: ['https://shop.test/p/1', 'https://shop.test/p/2',
+                    'https://shop.test/about', 'https://elsewhere.test/']})},
+            {match: 'broken', status: 'failed', error: 'Page crashed'},
+            {match: 'Go to https://shop\\.test/p/(\\d)', result: JSON.stringify({data: {price: 10},
+                current_url: 'https://shop.test/p/1'})},
+        ]}});
+    });
+    after(()=>ctx.close());
+
+    it('extracts every url and reports failures per page', async ()=>{
+        const progress = [];
+        const res = await ctx.client.callTool({name: 'crawl_urls', arguments: {
+            instruction: 'Extract the product price',
+            urls: ['https://shop.test/p/1', 'https://shop.test/broken', 'https://shop.test/p/2'],
+            concurrency: 2,
+        }}, undefined, {onprogress: p=>progress.push(p)});
+        const data = JSON.parse(res.content[0].text);
+        assert.equal(data.status, 'completed_with_errors');
+        assert.deepEqual(data.summary, {total: 3, succeeded: 2, failed: 1, blocked: 0, skipped: 0});
+        assert.deepEqual(data.pages.map(p=>[p.url, p.status]), [
+            ['https://shop.test/p/1', 'succeeded'],
+            ['https://shop.test/broken', 'failed'],
+            ['https://shop.test/p/2', 'succeeded'],
+        ]);
+        assert.deepEqual(data.pages[0].data, {price: 10});
+        assert.match(data.pages[1].error, /Page crashed/);
+        assert.match(progress[0].message, /^Crawled 1 of 3: https:\/\/shop\.test\//);
+        const stopped = ctx.mock.requests.filter(r=>r.path.endsWith('/stop'));
+        assert.equal(stopped.length, 3);
+        const sessions = await ctx.call('list_active_sessions');
+        assert.equal(sessions.data.totalSessions, 0);
+    });
+
+    it('follows links matching the pattern', async ()=>{
+        const res = await ctx.call('crawl_urls', {
+            instruction: 'Extract the title',
+            startUrl: 'https://shop.test/',
+            followPattern: '/p/\\d+$',
+            maxDepth: 1,
+        });
+        assert.ok(!res.isError, res.text);
+        assert.deepEqual(res.data.pages.map(p=>[p.url, p.depth]), [
+            ['https://shop.test/', 0], ['https://shop.test/p/1', 1], ['https://shop.test/p/2', 1],
+        ]);
+        assert.equal(res.data.pages[0].linksFound, 4);
+        const start = ctx.mock.requests.find(r=>r.path == '/tasks'
+            && r.body.instructions[0].action == 'Go to https://shop.test/');
+        assert.match(start.body.instructions[1].action, /"links"/);
+    });
+
+    it('needs urls or startUrl', async ()=>{
+        const res = await ctx.call('crawl_urls', {instruction: 'x'});
+        assert.ok(res.isError);
+        assert.match(res.text, /either urls or startUrl/);
+    });
+});
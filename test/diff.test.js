@@ -0,0 +1,84 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {diff_snapshots} from '../diff.js';
+import {page_snapshot, create_element_refs} from '../html.js';
+import {start_server} from './helpers.js';
+
+const page = (html, url = 'https://shop.test/cart')=>JSON.stringify({current_url: url, html_markup: html});
+const cart_empty = page('<title>Cart</title><h1>Cart</h1><p>Your cart is empty</p>' +
+    '<a href="/products">Browse products</a>');
+const cart_full = page('<title>Cart (1)</title><h1>Cart</h1><p>1 item: Blue mug</p>' +
+    '<a href="/products">Browse products</a><button>Checkout</button>');
+
+describe('page diff', ()=>{
+    it('snapshots only pages with markup', ()=>{
+        assert.equal(page_snapshot('{"title": "x"}'), null);
+        const snapshot = page_snapshot(cart_empty);
+        assert.equal(snapshot.url, 'https://shop.test/cart');
+        assert.equal(snapshot.title, 'Cart');
+        assert.deepEqual(snapshot.lines, ['# Cart', 'Your cart is empty', '[Browse products](/products)']);
+    });
+
+    it('reports title, element and text changes', ()=>{
+        const refs = create_element_refs();
+        const diff = diff_snapshots(page_snapshot(cart_empty, refs), page_snapshot(cart_full, refs));
+        assert.equal(diff.changed, true);
+        assert.deepEqual(diff.title, {from: 'Cart', to: 'Cart (1)'});
+        assert.equal(diff.url, undefined);
+        assert.deepEqual(diff.elements.added, [{ref: 2, tag: 'button', text: 'Checkout'}]);
+        assert.deepEqual(diff.elements.removed, []);
+        assert.deepEqual(diff.text.added, ['1 item: Blue mug', '[Browse products](/products) [button: Checkout]']);
+        assert.deepEqual(diff.text.removed, ['Your cart is empty', '[Browse products](/products)']);
+    });
+
+    it('finds no changes on the same page', ()=>{
+        const refs = create_element_refs();
+        const diff = diff_snapshots(page_snapshot(cart_full, refs), page_snapshot(cart_full, refs));
+        assert.equal(diff.changed, false);
+        assert.equal(diff.elements, undefined);
+        assert.equal(diff.text, undefined);
+    });
+});
+
+describe('diff_page and returnDiff', ()=>{
+    let ctx;
+    before(async ()=>{
+        ctx = await start_server({mock_opts: {result: cart_empty, rules: [
+            {match: 'Add the mug', result: cart_full},
+            {match: 'Check the cart again', result: cart_full},
+            {match: 'plain', result: JSON.stringify({current_url: 'https://shop.test/plain', title: 'Plain'})},
+        ]}});
+    });
+    after(()=>ctx.close());
+
+    it('records a baseline, then reports changes', async ()=>{
+        const {data: {executionId}} = await ctx.call('start_new_session', {instruction: 'Go to https://shop.test/cart'});
+        const res = await ctx.call('interact_and_extract_in_session', {executionId,
+            instruction: 'Add the mug to the cart', returnDiff: true});
+        assert.ok(!res.isError, res.text);
+        const {diff} = res.data.result;
+        assert.equal(diff.changed, true);
+        assert.deepEqual(diff.elements.added.map(e=>e.text), ['Checkout']);
+        const check = await ctx.call('diff_page', {executionId});
+        assert.ok(!check.isError, check.text);
+        assert.equal(check.data.changed, true);
+        assert.deepEqual(check.data.title, {from: 'Cart (1)', to: 'Cart'});
+    });
+
+    it('has no baseline on a fresh session', async ()=>{
+        const {data: {executionId}} = await ctx.call('start_new_session', {instruction: 'Go to https://shop.test/plain'});
+        const res = await ctx.call('diff_page', {executionId});
+        assert.equal(res.data.changed, null);
+        const again = await ctx.call('diff_page', {executionId});
+        assert.equal(again.data.changed, false);
+    });
+
+    it('compares the final batch page with the page before the batch', async ()=>{
+        const {data: {executionId}} = await ctx.call('start_new_session', {instruction: 'Go to https://shop.test/cart'});
+        const res = await ctx.call('batch_actions', {executionId, actions: ['Scroll down', 'Check the cart again'],
+            snapshotAfter: [1], returnDiff: true});
+        assert.ok(!res.isError, res.text);
+        assert.deepEqual(res.data.result.diff.title, {from: 'Cart', to: 'Cart (1)'});
+    });
+});
@@ -0,0 +1,68 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {start_server} from './helpers.js';
+import {default_page} from './mock-api.js';
+import {parse_json_result} from '../extract.js';
+
+const schema = {
+    type: 'object',
+    required: ['price'],
+    properties: {price: {type: 'number'}},
+};
+
+describe('parse_json_result', ()=>{
+    it('strips code fences and prose', ()=>{
+        assert.deepEqual(parse_json_result('Sure:\n```json\n{"a": 1}\n```'), {a: 1});
+        assert.deepEqual(parse_json_result('The items are [1, 2] as requested'), [1, 2]);
+        assert.equal(parse_json_result('no json here'), undefined);
+    });
+});
+
+describe('extract_from_session', ()=>{
+    let ctx, id;
+    before(async ()=>{
+        ctx = await start_server({mock_opts: {rules: [
+            {match: 'previous answer was rejected', result: '{"price": 10}'},
+            {match: 'price tag', result: 'Here it is: ```json\n{"price": "ten"}\n```'},
+            {match: 'never right', result: '{"price": null}'},
+        ]}});
+        ({data: {executionId: id}} = await ctx.call('start_new_session',
+            {instruction: 'Go to https://example.com'}));
+    });
+    after(()=>ctx.close());
+
+    it('returns the parsed object instead of a JSON string', async ()=>{
+        const res = await ctx.call('extract_from_session', {executionId: id,
+            instruction: 'Extract the page'});
+        assert.ok(!res.isError, res.text);
+        assert.deepEqual(res.data.result, default_page);
+    });
+
+    it('puts the schema in the instruction and re-asks with the errors', async ()=>{
+        const res = await ctx.call('extract_from_session', {executionId: id,
+            instruction: 'Extract the price tag', schema});
+        assert.ok(!res.isError, res.text);
+        assert.deepEqual(res.data.result, {price: 10});
+        assert.equal(res.data.attempts, 2);
+        const sent = ctx.mock.requests.filter(r=>r.path == `/tasks/${id}/instructions`)
+            .slice(-2).map(r=>r.body.instructions.map(i=>i.action).join('\n'));
+        assert.match(sent[0], /"required":\["price"\]/);
+        assert.match(sent[1], /\/price must be number/);
+    });
+
+    it('fails with the validation errors after maxRetries', async ()=>{
+        const res = await ctx.call('extract_from_session', {executionId: id,
+            instruction: 'Extract something never right', schema, maxRetries: 0});
+        assert.ok(res.isError);
+        assert.equal(res.data.error, 'validation_failed');
+        assert.deepEqual(res.data.errors, ['/price must be number']);
+    });
+
+    it('rejects an invalid schema', async ()=>{
+        const res = await ctx.call('extract_from_session', {executionId: id,
+            instruction: 'Extract the price tag', schema: {type: 'nonsense'}});
+        assert.ok(res.isError);
+        assert.match(res.text, /Invalid JSON Schema/);
+    });
+});
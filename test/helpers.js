@@ -0,0 +1,120 @@
+'use strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import net from 'node:net';
+import {spawn} from 'node:child_process';
+import {fileURLToPath} from 'node:url';
+import {Client} from '@modelcontextprotocol/sdk/client/index.js';
+import {StdioClientTransport} from '@modelcontextprotocol/sdk/client/stdio.js';
+import {StreamableHTTPClientTransport} from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import {create_mock_api} from './mock-api.js';
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+function server_env(base_url, tmp, env) {
+    return {
+        PATH: process.env.PATH,
+        API_TOKEN: 'test-token',
+        PROJECT_NAME: 'test-project',
+        BROWSERAI_API_URL: `${base_url}/api/v1`,
+        SESSIONS_FILE: path.join(tmp, 'sessions.json'),
+        WORKFLOWS_DIR: path.join(tmp, 'workflows'),
+        CREDENTIALS_FILE: path.join(tmp, 'credentials.enc'),
+        MONITORS_FILE: path.join(tmp, 'monitors.json'),
+        POLL_INITIAL_DELAY_MS: '10',
+        POLL_MAX_DELAY_MS: '50',
+        ...env,
+    };
+}
+
+async function connect(transport) {
+    const client = new Client({name: 'browserai-mcp-test', version: '1.0.0'});
+    await client.connect(transport);
+    const call = async (name, args = {})=>{
+        const res = await client.callTool({name, arguments: args});
+        const text = res.content.find(c=>c.type == 'text')?.text;
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch(e) {
+            data = text;
+        }
+        return {...res, text, data};
+    };
+    return {client, call};
+}
+
+function free_port() {
+    return new Promise(resolve=>{
+        const srv = net.createServer().listen(0, ()=>{
+            const {port} = srv.address();
+            srv.close(()=>resolve(port));
+        });
+    });
+}
+
+// Starts the mock API and an MCP server process talking to it over stdio
+export async function start_server({mock_opts, env} = {}) {
+    const mock = create_mock_api(mock_opts);
+    const base_url = await mock.listen();
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'browserai-mcp-'));
+    const {client, call} = await connect(new StdioClientTransport({
+        command: process.execPath,
+        args: [path.join(root, 'server.js')],
+        env: server_env(base_url, tmp, env),
+        stderr: 'ignore',
+    }));
+    return {
+        client,
+        mock,
+        call,
+        tmp,
+        close: async ()=>{
+            await client.close();
+            await mock.close();
+            fs.rmSync(tmp, {recursive: true, force: true});
+        },
+    };
+}
+
+// Same over streamable HTTP, connect() opens a client with its own headers
+export async function start_http_server({mock_opts, env} = {}) {
+    const mock = create_mock_api(mock_opts);
+    const base_url = await mock.listen();
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'browserai-mcp-'));
+    const port = await free_port();
+    const child = spawn(process.execPath,
+        [path.join(root, 'server.js'), '--transport', 'http', '--port', `${port}`],
+        {env: server_env(base_url, tmp, {API_TOKEN: '', ...env}), stdio: 'ignore'});
+    const url = `http://localhost:${port}/mcp`;
+    for (let i = 0; ; i++)
+    {
+        try {
+            await fetch(`http://localhost:${port}/ping`);
+            break;
+        } catch(e) {
+            if (i > 100)
+                throw e;
+            await new Promise(resolve=>setTimeout(resolve, 50));
+        }
+    }
+    const clients = [];
+    return {
+        mock,
+        url,
+        connect: async headers=>{
+            const res = await connect(new StreamableHTTPClientTransport(
+                new URL(url), {requestInit: {headers}}));
+            clients.push(res.client);
+            return res;
+        },
+        close: async ()=>{
+            for (const client of clients)
+                await client.close();
+            child.kill();
+            await mock.close();
+            fs.rmSync(tmp, {recursive: true, force: true});
+        },
+    };
+}
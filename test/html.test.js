@@ -0,0 +1,74 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {start_server} from './helpers.js';
+import {process_page, create_element_refs, resolve_element_refs} from '../html.js';
+
+const html = '<html><head><title>Shop</title><style>h1{}</style></head><body>' +
+    '<h1>Products</h1><script>track()</script><svg><path d="M0"/></svg>' +
+    '<ul><li><a href="/p/1">Item 1</a></li></ul>' +
+    '<input name="q" placeholder="Search"><button id="buy">Buy</button></body></html>';
+const page = JSON.stringify({interactive_elements: [], html_markup: html,
+    current_url: 'https://shop.example/'});
+
+describe('process_page', ()=>{
+    it('converts to markdown without scripts, styles or svg', ()=>{
+        const res = process_page(page, {format: 'markdown'});
+        assert.equal(res.current_url, 'https://shop.example/');
+        assert.match(res.content, /^# Shop\n\n# Products/);
+        assert.match(res.content, /\[Item 1\]\(\/p\/1\) \[#1\]/);
+        assert.match(res.content, /\[button: Buy\] \[#3\]/);
+        assert.doesNotMatch(res.content, /track|h1\{|path/);
+        assert.deepEqual(res.elements.map(e=>e.ref), [1, 2, 3]);
+    });
+
+    it('supports every output format', ()=>{
+        assert.match(process_page(page, {format: 'html'}).content, /<button id="buy" data-ref="3">/);
+        assert.doesNotMatch(process_page(page, {format: 'html'}).content, /<script/);
+        assert.match(process_page(page, {format: 'text'}).content, /Products\nItem 1/);
+        const only = process_page(page, {format: 'elements_only'});
+        assert.equal(only.content, undefined);
+        assert.equal(only.elements.length, 3);
+    });
+
+    it('truncates to the character budget with a marker', ()=>{
+        const res = process_page(page, {format: 'markdown', max_chars: 10});
+        assert.ok(res.truncated);
+        assert.match(res.content, /^# Shop\n\n# \n\n\[\.\.\. truncated \d+ characters \.\.\.\]$/);
+    });
+
+    it('keeps refs stable across pages of a session', ()=>{
+        const refs = create_element_refs();
+        process_page(page, {refs});
+        const next = process_page(JSON.stringify({html_markup:
+            '<a href="/cart">Cart</a><button id="buy">Buy</button>'}), {refs});
+        assert.deepEqual(next.elements.map(e=>[e.ref, e.text]), [[4, 'Cart'], [3, 'Buy']]);
+        assert.equal(resolve_element_refs('Click element #3', refs),
+            'Click the button element "Buy" (id="buy")');
+        assert.throws(()=>resolve_element_refs('Click element #9', refs), /Unknown element #9/);
+    });
+
+    it('passes results without html through', ()=>{
+        assert.equal(process_page('{"title": "x"}'), '{"title": "x"}');
+    });
+});
+
+describe('element refs in session tools', ()=>{
+    let ctx;
+    before(async ()=>{
+        ctx = await start_server({mock_opts: {result: page}});
+    });
+    after(()=>ctx.close());
+
+    it('resolves "element #N" before sending instructions', async ()=>{
+        const {data: {executionId, result}} = await ctx.call('start_new_session',
+            {instruction: 'Go to https://shop.example', outputFormat: 'elements_only'});
+        assert.equal(result.elements[2].text, 'Buy');
+        const res = await ctx.call('interact_and_extract_in_session',
+            {executionId, instruction: 'Click element #3', outputFormat: 'text'});
+        assert.ok(!res.isError, res.text);
+        assert.equal(res.data.result.format, 'text');
+        const sent = ctx.mock.requests.find(r=>r.path == `/tasks/${executionId}/instructions`);
+        assert.equal(sent.body.instructions[0].action, 'Click the button element "Buy" (id="buy")');
+    });
+});
@@ -0,0 +1,177 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {start_http_server} from './helpers.js';
+
+describe('http transport', ()=>{
+    let ctx, alice, bob;
+    before(async ()=>{
+        ctx = await start_http_server({mock_opts: {rules: [{match: 'Slow', pending_polls: 1000}]}});
+        alice = await ctx.connect({'X-API-Token': 'alice-token', 'X-Project-Name': 'alice-project'});
+        bob = await ctx.connect({'Authorization': 'Bearer bob-token'});
+    });
+    after(()=>ctx.close());
+
+    it('rejects clients without a token', async ()=>{
+        const res = await fetch(ctx.url, {
+            method: 'POST',
+            headers: {'content-type': 'application/json', accept: 'application/json, text/event-stream'},
+            body: JSON.stringify({jsonrpc: '2.0', id: 0, method: 'initialize', params: {
+                protocolVersion: '2025-03-26', capabilities: {},
+                clientInfo: {name: 't', version: '1'}}}),
+        });
+        assert.equal(res.status, 401);
+    });
+
+    it('uses the token and project of each client', async ()=>{
+        const res = await alice.call('start_new_session', {instruction: 'Go to https://example.com'});
+        assert.ok(!res.isError, res.text);
+        const create = ctx.mock.requests.find(r=>r.path == '/tasks');
+        assert.equal(create.authorization, 'apikey alice-token');
+        assert.equal(create.body.project, 'alice-project');
+    });
+
+    it('scopes sessions to the client that created them', async ()=>{
+        const {data: {executionId}} = await alice.call('start_new_session', {
+            instruction: 'Go to https://example.com'});
+        const own = await alice.call('list_active_sessions');
+        assert.ok(own.data.activeSessions.some(s=>s.executionId == executionId));
+        const other = await bob.call('list_active_sessions');
+        assert.equal(other.data.totalSessions, 0);
+        for (const [name, args] of [
+            ['get_session_status', {}],
+            ['navigate_to_url', {url: 'https://example.com/admin'}],
+            ['close_session', {}],
+        ])
+        {
+            const res = await bob.call(name, {...args, executionId});
+            assert.ok(res.isError, name);
+            assert.match(res.text, /Unknown executionId/);
+        }
+        const status = await alice.call('get_session_status', {executionId});
+        assert.ok(!status.isError, status.text);
+    });
+
+    it('accepts the executionIds it hands out for later calls', async ()=>{
+        const start = await alice.call('start_new_session', {instruction: 'Go to https://example.com'});
+        const first = await alice.call('interact_and_extract_in_session', {executionId: start.data.executionId,
+            instruction: 'Click Home', waitTime: 0});
+        assert.ok(!first.isError, first.text);
+        assert.equal(first.data.executionId, start.data.executionId);
+        const second = await alice.call('interact_and_extract_in_session', {executionId: first.data.executionId,
+            instruction: 'Click Submit', waitTime: 0});
+        assert.ok(!second.isError, second.text);
+        assert.notEqual(second.data.taskId, start.data.executionId);
+        const status = await alice.call('get_session_status', {executionId: second.data.taskId});
+        assert.ok(!status.isError, status.text);
+        assert.equal(status.data.executionId, second.data.taskId);
+        const other = await bob.call('get_session_status', {executionId: second.data.taskId});
+        assert.match(other.text, /Unknown executionId/);
+        const slow = await alice.call('interact_and_extract_in_session', {executionId: start.data.executionId,
+            instruction: 'Slow click', waitTime: 0, timeoutSeconds: 0.2});
+        assert.ok(slow.isError);
+        const {executionId: resume} = JSON.parse(slow.text);
+        const resumed = await alice.call('get_session_status', {executionId: resume});
+        assert.ok(!resumed.isError, resumed.text);
+        assert.equal(resumed.data.status, 'pending');
+    });
+    it('keeps workflows per client without server paths', async ()=>{
+        const saved = await alice.call('save_workflow', {name: 'a-login', steps: [{action: 'Go to https://example.com'}]});
+        assert.ok(!saved.isError, saved.text);
+        assert.equal(saved.data.file, undefined);
+        const own = await alice.call('list_workflows');
+        assert.deepEqual(own.data.workflows.map(w=>w.name), ['a-login']);
+        assert.equal(own.data.dir, undefined);
+        assert.deepEqual((await bob.call('list_workflows')).data.workflows, []);
+        assert.equal((await bob.call('delete_workflow', {name: 'a-login'})).data.deleted, false);
+        assert.match((await bob.call('run_workflow', {name: 'a-login'})).text, /Unknown workflow/);
+        assert.deepEqual((await alice.call('list_workflows')).data.workflows.map(w=>w.name), ['a-login']);
+    });
+});
+
+describe('stored results over http', ()=>{
+    let ctx, alice, bob;
+    before(async ()=>{
+        ctx = await start_http_server({env: {RESULT_PAGE_THRESHOLD: '100'}});
+        alice = await ctx.connect({'X-API-Token': 'alice-token', 'X-Project-Name': 'alice-project'});
+        bob = await ctx.connect({'Authorization': 'Bearer bob-token', 'X-Project-Name': 'bob-project'});
+    });
+    after(()=>ctx.close());
+
+    it('only lets the owner read a stored result resource', async ()=>{
+        const res = await alice.call('start_new_session', {instruction: 'Go to https://example.com'});
+        assert.equal(res.data.resultStored, true);
+        const own = await alice.client.readResource({uri: res.data.resourceUri});
+        assert.match(own.contents[0].text, /executionId/);
+        await assert.rejects(bob.client.readResource({uri: res.data.resourceUri}), /Unknown executionId/);
+        await bob.call('list_active_sessions');
+        await assert.rejects(bob.client.readResource({uri: res.data.resourceUri}), /Unknown executionId/);
+        const chunk = await bob.call('read_result_chunk', {executionId: res.data.executionId, n: res.data.n});
+        assert.match(chunk.text, /Unknown executionId/);
+    });
+});
+
+describe('monitors over http', ()=>{
+    let ctx, alice, bob;
+    before(async ()=>{
+        ctx = await start_http_server();
+        alice = await ctx.connect({'X-API-Token': 'alice-token', 'X-Project-Name': 'alice-project'});
+        bob = await ctx.connect({'Authorization': 'Bearer bob-token', 'X-Project-Name': 'bob-project'});
+    });
+    after(()=>ctx.close());
+
+    it('only lets the owner read a monitor resource', async ()=>{
+        const res = await alice.call('create_monitor', {url: 'https://example.com/', instruction: 'Extract the title',
+            intervalMinutes: 60});
+        assert.ok(!res.isError, res.text);
+        const own = await alice.client.readResource({uri: res.data.resourceUri});
+        assert.equal(JSON.parse(own.contents[0].text).id, res.data.id);
+        await bob.call('list_monitors');
+        await assert.rejects(bob.client.readResource({uri: res.data.resourceUri}), /Unknown monitorId/);
+        assert.match((await bob.call('delete_monitor', {monitorId: res.data.id})).text, /Unknown monitorId/);
+    });
+});
+
+describe('saved files over http', ()=>{
+    let ctx, alice, bob, output_dir;
+    before(async ()=>{
+        output_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'browserai-output-'));
+        ctx = await start_http_server({env: {OUTPUT_DIR: output_dir}, mock_opts: {rules: [
+            {match: 'PDF document', result: JSON.stringify({data: Buffer.from('%PDF-1.4\n').toString('base64')})},
+        ]}});
+        alice = await ctx.connect({'X-API-Token': 'alice-token', 'X-Project-Name': 'alice-project'});
+        bob = await ctx.connect({'Authorization': 'Bearer bob-token', 'X-Project-Name': 'bob-project'});
+    });
+    after(async ()=>{
+        await ctx.close();
+        fs.rmSync(output_dir, {recursive: true, force: true});
+    });
+
+    it('returns saved files as resources of their owner', async ()=>{
+        const {data: {executionId}} = await alice.call('start_new_session', {instruction: 'Go to https://example.com'});
+        const res = await alice.call('save_page_pdf', {executionId});
+        assert.ok(!res.isError, res.text);
+        assert.equal(res.data.file, undefined);
+        const own = await alice.client.readResource({uri: res.data.resourceUri});
+        assert.equal(Buffer.from(own.contents[0].blob, 'base64').toString('latin1').slice(0, 5), '%PDF-');
+        assert.equal(own.contents[0].mimeType, 'application/pdf');
+        await bob.call('list_active_sessions');
+        await assert.rejects(bob.client.readResource({uri: res.data.resourceUri}), /Unknown output file/);
+    });
+
+    it('exports traces as resources without server paths', async ()=>{
+        const {data: {executionId}} = await alice.call('start_new_session', {instruction: 'Go to https://example.com'});
+        const res = await alice.call('export_session_trace', {executionId});
+        assert.ok(!res.isError, res.text);
+        assert.equal(res.data.json, undefined);
+        assert.equal(res.data.html, undefined);
+        const json = await alice.client.readResource({uri: res.data.jsonResourceUri});
+        assert.equal(JSON.parse(json.contents[0].text).executionId, executionId);
+        const html = await alice.client.readResource({uri: res.data.htmlResourceUri});
+        assert.equal(html.contents[0].mimeType, 'text/html');
+        await assert.rejects(bob.client.readResource({uri: res.data.jsonResourceUri}), /Unknown output file/);
+    });
+});
@@ -0,0 +1,94 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {create_meter, result_bytes} from '../metering.js';
+import {start_server} from './helpers.js';
+
+describe('meter', ()=>{
+    it('counts calls, failures and bytes per tool and session', ()=>{
+        const meter = create_meter({limits: {}});
+        meter.record_call('navigate_to_url', {owner: 'a', executionId: 's1', duration_ms: 10, bytes: 100});
+        meter.record_call('navigate_to_url', {owner: 'a', executionId: 's1', duration_ms: 5, failed: true});
+        meter.record_call('list_workflows', {owner: 'b', duration_ms: 1, bytes: 2});
+        const stats = meter.stats('a');
+        assert.deepEqual(stats.tools, {navigate_to_url: {calls: 2, failures: 1, duration_ms: 15, bytes: 100}});
+        assert.deepEqual(stats.sessions.s1, {calls: 2, failures: 1, duration_ms: 15, bytes: 100, tasks: 0, task_ms: 0});
+        assert.deepEqual(Object.keys(meter.stats('b').tools), ['list_workflows']);
+    });
+
+    it('enforces limits before a task is created', ()=>{
+        const meter = create_meter({limits: {max_concurrent_sessions: 2, max_tasks_per_hour: 2,
+            max_session_age_ms: 60000}});
+        assert.throws(()=>meter.check_task('a', {active_sessions: 2}), /max_concurrent_sessions/);
+        assert.throws(()=>meter.check_task('a', {session_created: Date.now() - 120000}), /max_session_age/);
+        meter.start_task('a').end({executionId: 's1'});
+        meter.start_task('a').end({executionId: 's1', failed: true});
+        assert.throws(()=>meter.check_task('a'), /max_tasks_per_hour/);
+        meter.check_task('b');
+        const {tasks} = meter.stats('a');
+        assert.equal(tasks.total, 2);
+        assert.equal(tasks.failed, 1);
+        assert.equal(tasks.last_hour, 2);
+    });
+
+    it('measures text and image results', ()=>{
+        assert.equal(result_bytes('héllo'), 6);
+        assert.equal(result_bytes({content: [{type: 'text', text: 'abc'},
+            {type: 'image', data: 'AAAA'}]}), 6);
+    });
+});
+
+describe('usage limits and stats', ()=>{
+    let ctx, dir, export_file;
+    before(async ()=>{
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'browserai-usage-'));
+        export_file = path.join(dir, 'usage.jsonl');
+        ctx = await start_server({env: {
+            MAX_CONCURRENT_SESSIONS: '1',
+            MAX_TASKS_PER_HOUR: '3',
+            USAGE_EXPORT_FILE: export_file,
+            USAGE_EXPORT_INTERVAL_SECONDS: '0.1',
+        }});
+    });
+    after(async ()=>{
+        await ctx.close();
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('enforces limits and reports usage', async ()=>{
+        const start = await ctx.call('start_new_session', {instruction: 'Go to https://example.com'});
+        assert.ok(!start.isError, start.text);
+        const id = start.data.executionId;
+        const second = await ctx.call('start_new_session', {instruction: 'Go to https://example.org'});
+        assert.ok(second.isError);
+        assert.equal(JSON.parse(second.text).limit, 'max_concurrent_sessions');
+        assert.ok(!(await ctx.call('get_page_info', {executionId: id})).isError);
+        assert.ok(!(await ctx.call('get_page_info', {executionId: id})).isError);
+        const fourth = await ctx.call('get_page_info', {executionId: id});
+        assert.equal(JSON.parse(fourth.text).limit, 'max_tasks_per_hour');
+        const created = ctx.mock.requests.filter(r=>r.method == 'POST' && r.path.startsWith('/tasks'));
+        assert.equal(created.length, 3);
+
+        const {data} = await ctx.call('get_usage_stats');
+        assert.equal(data.tools.start_new_session.calls, 2);
+        assert.equal(data.tools.start_new_session.failures, 1);
+        assert.equal(data.tools.get_page_info.calls, 3);
+        assert.ok(data.tools.get_page_info.bytes > 0);
+        assert.equal(data.sessions[id].tasks, 3);
+        assert.equal(data.tasks.total, 3);
+        assert.equal(data.tasks.last_hour, 3);
+        assert.deepEqual(data.limits, {maxConcurrentSessions: 1, maxTasksPerHour: 3, maxSessionAgeMinutes: null});
+        assert.equal(data.activeSessions, 1);
+    });
+
+    it('exports usage as JSON lines', async ()=>{
+        for (let i = 0; i < 50 && !fs.existsSync(export_file); i++)
+            await new Promise(resolve=>setTimeout(resolve, 50));
+        const lines = fs.readFileSync(export_file, 'utf8').trim().split('\n').map(line=>JSON.parse(line));
+        assert.equal(lines.at(-1).owner, 'local');
+        assert.ok(lines.at(-1).tools.start_new_session);
+    });
+});
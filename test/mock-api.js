@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+'use strict';
+// Local stand-in for the BrowserAI task API. Run it with `npm run mock` and
+// point the MCP server at it with BROWSERAI_API_URL=http://localhost:8787
+import http from 'node:http';
+import fs from 'node:fs';
+import {pathToFileURL} from 'node:url';
+
+export const default_page = {
+    interactive_elements: ['a#home', 'input#search', 'button#submit'],
+    html_markup: '<html><head><title>Mock page</title></head>' +
+        '<body><a id="home" href="/">Home</a><input id="search">' +
+        '<button id="submit">Submit</button></body></html>',
+    current_url: 'https://example.com/',
+    title: 'Mock page',
+};
+
+// A rule picks the lifecycle of every task whose instructions match it, the
+// first matching rule wins: {match, status, result, error, pending_polls}
+function find_rule(rules, instructions) {
+    const text = instructions.map(i=>i.action).join('\n');
+    return rules.find(rule=>!rule.match || new RegExp(rule.match, 'i').test(text))
+        || {};
+}
+
+export function create_mock_api({
+    rules = [],
+    latency_ms = 0,
+    pending_polls = 1,
+    result = JSON.stringify(default_page),
+} = {}) {
+    const tasks = new Map();
+    const requests = [];
+    // [{method, path, status, times, hang}] answered before the task logic
+    // runs, or never answered when hang is set
+    const faults = [];
+    let next_id = 1;
+    const create = (body, parent)=>{
+        const rule = find_rule(rules, body.instructions || []);
+        const id = `mock-${next_id++}`;
+        tasks.set(id, {
+            id,
+            parent,
+            body,
+            polls: 0,
+            pending_polls: rule.pending_polls ?? pending_polls,
+            final_status: rule.status || 'awaiting',
+            result: rule.result !== undefined ? rule.result : result,
+            error: rule.error,
+            stopped: false,
+        });
+        return id;
+    };
+    const view = task=>{
+        if (task.stopped)
+            return {executionId: task.id, status: 'stopped', result: task.result};
+        if (task.polls++ < task.pending_polls)
+            return {executionId: task.id, status: 'pending'};
+        if (task.final_status == 'failed')
+            return {executionId: task.id, status: 'failed', error: task.error || 'Mock failure'};
+        return {executionId: task.id, status: task.final_status, result: task.result};
+    };
+    const route = (method, path, body)=>{
+        let m;
+        if (method == 'POST' && path == '/tasks')
+            return [200, {executionId: create(body)}];
+        if (m = path.match(/^\/tasks\/([^/]+)$/))
+        {
+            const task = tasks.get(decodeURIComponent(m[1]));
+            return task && method == 'GET' ? [200, view(task)] : [404, {error: 'Task not found'}];
+        }
+        if (m = path.match(/^\/tasks\/([^/]+)\/(instructions|stop)$/))
+        {
+            const id = decodeURIComponent(m[1]);
+            const task = tasks.get(id);
+            if (!task || method != 'POST')
+                return [404, {error: 'Task not found'}];
+            if (m[2] == 'stop')
+            {
+                task.stopped = true;
+                return [200, {executionId: id, status: 'stopped'}];
+            }
+            return [200, {executionId: create(body, id)}];
+        }
+        return [404, {error: 'Not found'}];
+    };
+    const server = http.createServer((req, res)=>{
+        let raw = '';
+        req.on('data', chunk=>raw += chunk);
+        req.on('end', ()=>{
+            const path = new URL(req.url, 'http://localhost').pathname
+                .replace(/^\/api\/v1/, '');
+            const body = raw ? JSON.parse(raw) : undefined;
+            requests.push({method: req.method, path, body,
+                authorization: req.headers.authorization});
+            const fault = faults.find(f=>f.times > 0 && f.method == req.method
+                && path.startsWith(f.path));
+            let status, data;
+            if (fault)
+            {
+                fault.times--;
+                if (fault.hang)
+                    return;
+                [status, data] = [fault.status, {error: 'Injected fault'}];
+            }
+            else
+                [status, data] = route(req.method, path, body);
+            setTimeout(()=>{
+                res.writeHead(status, {'content-type': 'application/json'});
+                res.end(JSON.stringify(data));
+            }, latency_ms);
+        });
+    });
+    return {
+        tasks,
+        requests,
+        fail: (method, path, status, times = 1)=>faults.push({method, path, status, times}),
+        hang: (method, path, times = 1)=>faults.push({method, path, times, hang: true}),
+        listen: (port = 0)=>new Promise(resolve=>server.listen(port, '127.0.0.1', ()=>
+            resolve(`http://127.0.0.1:${server.address().port}`))),
+        close: ()=>new Promise(resolve=>{
+            server.closeAllConnections();
+            server.close(resolve);
+        }),
+    };
+}
+
+if (import.meta.url == pathToFileURL(process.argv[1]).href)
+{
+    const script = process.env.MOCK_SCRIPT
+        ? JSON.parse(fs.readFileSync(process.env.MOCK_SCRIPT, 'utf8')) : {};
+    const mock = create_mock_api({
+        ...script,
+        latency_ms: +process.env.MOCK_LATENCY_MS || script.latency_ms || 0,
+    });
+    const url = await mock.listen(+process.env.MOCK_PORT || 8787);
+    console.error(`Mock BrowserAI API listening on ${url}`);
+}
@@ -0,0 +1,102 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {LoggingMessageNotificationSchema, ResourceUpdatedNotificationSchema}
+    from '@modelcontextprotocol/sdk/types.js';
+import {create_monitor_store, start_monitor_scheduler, same_value} from '../monitors.js';
+import {start_server} from './helpers.js';
+
+describe('monitor store', ()=>{
+    let tmp;
+    before(()=>tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'browserai-monitors-')));
+    after(()=>fs.rmSync(tmp, {recursive: true, force: true}));
+
+    it('records history and detects changes', ()=>{
+        const file = path.join(tmp, 'monitors.json');
+        const store = create_monitor_store({file, min_interval_ms: 1000, max_history: 3});
+        assert.throws(()=>store.add({owner: 'a', url: 'https://a.test/', instruction: 'x', interval_ms: 10}),
+            /at least 1 seconds/);
+        const {id} = store.add({owner: 'a', url: 'https://a.test/', instruction: 'Get the price', interval_ms: 1000});
+        assert.equal(store.record(id, {status: 'succeeded', value: {price: 1, stock: 2}}).entry.changed, false);
+        assert.equal(store.record(id, {status: 'succeeded', value: {stock: 2, price: 1}}).entry.changed, false);
+        assert.equal(store.record(id, {status: 'failed', error: 'Page crashed'}).entry.changed, undefined);
+        const run = store.record(id, {status: 'succeeded', value: {price: 2, stock: 2}});
+        assert.equal(run.entry.changed, true);
+        assert.deepEqual(run.previous, {price: 1, stock: 2});
+        assert.equal(run.monitor.history.length, 3);
+        const reloaded = create_monitor_store({file});
+        assert.deepEqual(reloaded.get(id).lastValue, {price: 2, stock: 2});
+        assert.deepEqual(reloaded.list('b'), []);
+        assert.ok(reloaded.remove(id));
+        assert.equal(create_monitor_store({file}).get(id), undefined);
+    });
+
+    it('runs due monitors one at a time', async ()=>{
+        const store = create_monitor_store({file: path.join(tmp, 'due.json'), min_interval_ms: 0});
+        store.add({owner: 'a', url: 'https://a.test/1', instruction: 'x', interval_ms: 0});
+        store.add({owner: 'a', url: 'https://a.test/2', instruction: 'x', interval_ms: 60000});
+        const checked = [];
+        const scheduler = start_monitor_scheduler({store, tick_ms: 60000, check: async monitor=>{
+            checked.push(monitor.url);
+            await new Promise(resolve=>setTimeout(resolve, 20));
+        }});
+        await Promise.all([scheduler.tick(), scheduler.tick()]);
+        scheduler.stop();
+        assert.deepEqual(checked, ['https://a.test/1']);
+        assert.ok(same_value([{a: 1, b: [2]}], [{b: [2], a: 1}]));
+    });
+});
+
+describe('monitor tools', ()=>{
+    let ctx;
+    const price = {match: 'price', result: JSON.stringify({data: {price: 10}, current_url: 'https://shop.test/p/1'})};
+    before(async ()=>{
+        ctx = await start_server({
+            env: {MONITOR_MIN_INTERVAL_SECONDS: '0.1', MONITOR_TICK_MS: '50'},
+            mock_opts: {rules: [price]},
+        });
+    });
+    after(()=>ctx.close());
+
+    it('checks on a schedule and notifies about changes', async ()=>{
+        const changed = new Promise(resolve=>ctx.client.setNotificationHandler(LoggingMessageNotificationSchema,
+            ({params})=>params.logger == 'browserai-monitor' && resolve(params)));
+        const updated = new Promise(resolve=>ctx.client.setNotificationHandler(ResourceUpdatedNotificationSchema,
+            ({params})=>resolve(params.uri)));
+        const res = await ctx.call('create_monitor', {url: 'https://shop.test/p/1',
+            instruction: 'Extract the price', intervalMinutes: 0.005});
+        assert.ok(!res.isError, res.text);
+        assert.deepEqual(res.data.lastValue, {price: 10});
+        assert.deepEqual(res.data.history.map(h=>h.status), ['succeeded']);
+        price.result = JSON.stringify({data: {price: 12}, current_url: 'https://shop.test/p/1'});
+        const notice = await changed;
+        assert.equal(notice.level, 'notice');
+        assert.equal(notice.data.monitorId, res.data.id);
+        assert.deepEqual([notice.data.previous, notice.data.value], [{price: 10}, {price: 12}]);
+        assert.equal(await updated, res.data.resourceUri);
+        const resource = await ctx.client.readResource({uri: res.data.resourceUri});
+        const monitor = JSON.parse(resource.contents[0].text);
+        assert.ok(monitor.history.some(h=>h.changed));
+        const stopped = ctx.mock.requests.filter(r=>r.path.endsWith('/stop'));
+        assert.ok(stopped.length >= 2);
+    });
+
+    it('lists and deletes monitors', async ()=>{
+        const short = await ctx.call('create_monitor', {url: 'https://shop.test/', instruction: 'x',
+            intervalMinutes: 0.0001});
+        assert.ok(short.isError);
+        assert.match(short.text, /at least 0.1 seconds/);
+        const list = await ctx.call('list_monitors', {historyLimit: 1});
+        assert.equal(list.data.totalMonitors, 1);
+        const [monitor] = list.data.monitors;
+        assert.equal(monitor.history.length, 1);
+        assert.equal(monitor.intervalMinutes, 0.005);
+        const res = await ctx.call('delete_monitor', {monitorId: monitor.id});
+        assert.deepEqual(res.data, {monitorId: monitor.id, deleted: true});
+        assert.equal((await ctx.call('list_monitors')).data.totalMonitors, 0);
+        assert.ok((await ctx.call('delete_monitor', {monitorId: monitor.id})).isError);
+    });
+});
@@ -0,0 +1,112 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {z} from 'zod';
+import {browser_params, merge_browser_options} from '../options.js';
+import {start_server} from './helpers.js';
+
+describe('browser options', ()=>{
+    const schema = z.object(browser_params);
+
+    it('normalises and validates the country', ()=>{
+        assert.deepEqual(schema.parse({geoLocation: {country: 'de', city: 'Berlin'}}).geoLocation,
+            {country: 'DE', city: 'Berlin'});
+        assert.equal(schema.safeParse({geoLocation: {country: 'XX'}}).success, false);
+        assert.equal(schema.safeParse({geoLocation: {country: 'Germany'}}).success, false);
+    });
+
+    it('rejects unknown locales, timezones and devices', ()=>{
+        assert.ok(schema.safeParse({locale: 'de-DE', timezone: 'Europe/Berlin', device: 'mobile'}).success);
+        assert.equal(schema.safeParse({locale: 'not a locale'}).success, false);
+        assert.equal(schema.safeParse({timezone: 'Mars/Olympus'}).success, false);
+        assert.equal(schema.safeParse({device: 'tablet'}).success, false);
+    });
+
+    it('lets per-call options override the session ones', ()=>{
+        assert.deepEqual(merge_browser_options(), {geoLocation: {country: 'US'}});
+        assert.deepEqual(merge_browser_options({geoLocation: {country: 'DE'}, locale: 'de-DE'},
+            {geoLocation: {country: 'FR'}}), {geoLocation: {country: 'FR'}, locale: 'de-DE'});
+        assert.deepEqual(merge_browser_options({geoLocation: {country: 'DE', zipCode: '10115'}},
+            schema.parse({geoLocation: {city: 'Munich'}})).geoLocation, {country: 'DE', zipCode: '10115', city: 'Munich'});
+        assert.deepEqual(merge_browser_options({geoLocation: {country: 'DE', city: 'Berlin'}},
+            {geoLocation: {country: 'DE', zipCode: '10115'}}).geoLocation, {country: 'DE', city: 'Berlin', zipCode: '10115'});
+        assert.deepEqual(merge_browser_options({}, {geoLocation: {city: 'Boston'}}).geoLocation,
+            {country: 'US', city: 'Boston'});
+    });
+});
+
+describe('browser options across session tools', ()=>{
+    let ctx;
+    before(async ()=>{
+        ctx = await start_server();
+    });
+    after(()=>ctx.close());
+
+    const sent = id=>ctx.mock.requests.filter(r=>r.path == `/tasks/${id}/instructions`)
+        .map(r=>r.body);
+
+    it('reuses the session options on follow-up calls', async ()=>{
+        const res = await ctx.call('start_new_session', {
+            instruction: 'Go to https://example.de',
+            geoLocation: {country: 'DE', city: 'Berlin', zipCode: '10115'},
+            device: 'mobile',
+            locale: 'de-DE',
+            timezone: 'Europe/Berlin',
+        });
+        assert.ok(!res.isError, res.text);
+        const id = res.data.executionId;
+        const create = ctx.mock.requests.find(r=>r.path == '/tasks' && r.body.instructions[0].action == 'Go to https://example.de');
+        assert.deepEqual(create.body.geoLocation, {country: 'DE', city: 'Berlin', zipCode: '10115'});
+        assert.deepEqual(create.body.browserProfile,
+            {device: 'mobile', locale: 'de-DE', timezone: 'Europe/Berlin'});
+        for (const [name, args] of [
+            ['navigate_to_url', {url: 'https://example.de/impressum'}],
+            ['get_page_info', {}],
+            ['batch_actions', {actions: ['Scroll down']}],
+        ])
+        {
+            const call = await ctx.call(name, {...args, executionId: id});
+            assert.ok(!call.isError, call.text);
+        }
+        const bodies = sent(id);
+        assert.equal(bodies.length, 3);
+        for (const body of bodies)
+        {
+            assert.equal(body.geoLocation.country, 'DE');
+            assert.equal(body.browserProfile.device, 'mobile');
+        }
+        const list = await ctx.call('list_active_sessions', {});
+        const session = list.data.activeSessions.find(s=>s.executionId == id);
+        assert.equal(session.options.geoLocation.country, 'DE');
+    });
+
+    it('applies per-call overrides to that call only', async ()=>{
+        const res = await ctx.call('start_new_session', {instruction: 'Go to https://example.fr',
+            geoLocation: {country: 'FR'}});
+        const id = res.data.executionId;
+        await ctx.call('get_page_info', {executionId: id, geoLocation: {country: 'gb'}, device: 'desktop'});
+        await ctx.call('get_page_info', {executionId: id});
+        const [first, second] = sent(id);
+        assert.deepEqual(first.geoLocation, {country: 'GB'});
+        assert.equal(first.browserProfile.device, 'desktop');
+        assert.deepEqual(second.geoLocation, {country: 'FR'});
+        assert.equal(second.browserProfile, undefined);
+    });
+
+    it('keeps the session country when a call only changes the city', async ()=>{
+        const res = await ctx.call('start_new_session', {instruction: 'Go to https://example.de/shop',
+            geoLocation: {country: 'DE', city: 'Berlin'}});
+        const id = res.data.executionId;
+        await ctx.call('get_page_info', {executionId: id, geoLocation: {city: 'Munich'}});
+        assert.deepEqual(sent(id)[0].geoLocation, {country: 'DE', city: 'Munich'});
+    });
+
+    it('rejects an unsupported country before calling the API', async ()=>{
+        const before_count = ctx.mock.requests.length;
+        const res = await ctx.call('start_new_session', {instruction: 'Go to https://example.com',
+            geoLocation: {country: 'ZZ'}}).catch(e=>({isError: true, text: e.message}));
+        assert.ok(res.isError);
+        assert.match(res.text, /Unsupported country/);
+        assert.equal(ctx.mock.requests.length, before_count);
+    });
+});
@@ -0,0 +1,55 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {start_server} from './helpers.js';
+
+describe('large result paging', ()=>{
+    let ctx;
+    before(async ()=>{
+        ctx = await start_server({env: {RESULT_PAGE_THRESHOLD: '200'}});
+    });
+    after(()=>ctx.close());
+
+    it('stores big results and returns a summary with a resource link', async ()=>{
+        const res = await ctx.call('start_new_session', {instruction: 'Go to https://example.com'});
+        assert.ok(!res.isError, res.text);
+        const {executionId, resultStored, n, resourceUri, totalChars, preview} = res.data;
+        assert.ok(resultStored);
+        assert.equal(resourceUri, `browserai://session/${executionId}/result/${n}`);
+        assert.ok(totalChars > 200);
+
+        let text = '', offset = 0;
+        while (offset !== null)
+        {
+            const chunk = await ctx.call('read_result_chunk', {executionId, n, offset, length: 100});
+            assert.ok(!chunk.isError, chunk.text);
+            assert.ok(chunk.data.length <= 100);
+            text += chunk.data.chunk;
+            offset = chunk.data.nextOffset;
+        }
+        assert.equal(text.length, totalChars);
+        assert.ok(text.startsWith(preview));
+        assert.equal(JSON.parse(text).executionId, executionId);
+
+        const resource = await ctx.client.readResource({uri: resourceUri});
+        assert.equal(resource.contents[0].text, text);
+    });
+
+    it('reads the latest result when n is omitted', async ()=>{
+        const {data: {executionId}} = await ctx.call('start_new_session', {instruction: 'Go to https://example.com'});
+        await ctx.call('navigate_to_url', {executionId, url: 'https://example.com/next'});
+        const chunk = await ctx.call('read_result_chunk', {executionId});
+        assert.equal(chunk.data.n, 2);
+    });
+
+    it('lists the resource template', async ()=>{
+        const {resourceTemplates} = await ctx.client.listResourceTemplates();
+        assert.ok(resourceTemplates.some(t=>t.uriTemplate == 'browserai://session/{executionId}/result/{n}'));
+    });
+
+    it('fails for unknown results', async ()=>{
+        const res = await ctx.call('read_result_chunk', {executionId: 'nope', n: 1});
+        assert.ok(res.isError);
+        assert.match(res.text, /No stored result/);
+    });
+});
@@ -0,0 +1,214 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {start_server} from './helpers.js';
+import {default_page} from './mock-api.js';
+
+describe('tools against the mock API', ()=>{
+    let ctx;
+    before(async ()=>{
+        ctx = await start_server({mock_opts: {rules: [
+            {match: 'explode', status: 'failed', error: 'Element exploded'},
+            {match: 'take forever', pending_polls: 1e6},
+        ]}});
+    });
+    after(()=>ctx.close());
+
+    const new_session = async ()=>{
+        const res = await ctx.call('start_new_session', {instruction: 'Go to https://example.com'});
+        assert.ok(!res.isError, res.text);
+        return res.data.executionId;
+    };
+
+    it('lists every tool', async ()=>{
+        const {tools} = await ctx.client.listTools();
+        const names = tools.map(t=>t.name);
+        for (const name of ['start_new_session', 'interact_and_extract_in_session',
+            'extract_from_session', 'get_session_status', 'wait_for_element',
+            'navigate_to_url', 'get_page_info', 'batch_actions',
+            'list_active_sessions', 'close_session', 'close_all_sessions'])
+        {
+            assert.ok(names.includes(name), `missing ${name}`);
+        }
+    });
+
+    it('start_new_session creates a task and returns its result', async ()=>{
+        const res = await ctx.call('start_new_session', {
+            instruction: 'Go to https://example.com',
+            geoLocation: {country: 'DE'},
+        });
+        assert.ok(!res.isError, res.text);
+        assert.match(res.data.executionId, /^mock-/);
+        assert.equal(res.data.result.current_url, default_page.current_url);
+        assert.equal(res.data.result.format, 'markdown');
+        const create = ctx.mock.requests.find(r=>r.method == 'POST' && r.path == '/tasks');
+        assert.equal(create.authorization, 'apikey test-token');
+        assert.equal(create.body.project, 'test-project');
+        assert.deepEqual(create.body.geoLocation, {country: 'DE'});
+        assert.equal(create.body.instructions[0].action, 'Go to https://example.com');
+    });
+
+    for (const [name, args] of [
+        ['interact_and_extract_in_session', {instruction: 'Click the login button'}],
+        ['extract_from_session', {instruction: 'Extract all product names'}],
+        ['wait_for_element', {instruction: 'the results table'}],
+        ['navigate_to_url', {url: 'https://example.com/about'}],
+        ['get_page_info', {}],
+    ])
+    {
+        it(`${name} sends instructions to the session`, async ()=>{
+            const id = await new_session();
+            const res = await ctx.call(name, {...args, executionId: id});
+            assert.ok(!res.isError, res.text);
+            assert.match(res.data.executionId, /^mock-/);
+            assert.ok(res.data.result);
+            const sent = ctx.mock.requests.filter(r=>r.path == `/tasks/${id}/instructions`);
+            assert.equal(sent.length, 1);
+            assert.ok(sent[0].body.instructions.length >= 2);
+        });
+    }
+
+    it('batch_actions reports every action and the final page', async ()=>{
+        const id = await new_session();
+        const progress = [];
+        const res = await ctx.client.callTool({name: 'batch_actions', arguments: {
+            executionId: id, actions: ['Click login', 'Fill email', 'Submit'], snapshotAfter: [1]}},
+            undefined, {onprogress: p=>progress.push(p.message)});
+        const data = JSON.parse(res.content[0].text);
+        assert.equal(data.status, 'completed');
+        assert.equal(data.actionsCompleted, 3);
+        assert.deepEqual(data.steps.map(s=>[s.step, s.status, s.url]), [
+            [1, 'succeeded', default_page.current_url],
+            [2, 'succeeded', default_page.current_url],
+            [3, 'succeeded', default_page.current_url],
+        ]);
+        assert.ok(data.steps.every(s=>s.duration_ms >= 0));
+        assert.ok(data.steps[0].snapshot.elements.length);
+        assert.equal(data.steps[1].snapshot, undefined);
+        assert.equal(data.result.current_url, default_page.current_url);
+        assert.deepEqual(progress.slice(0, 3), ['Step 1 of 3: Click login',
+            'Step 2 of 3: Fill email', 'Step 3 of 3: Submit']);
+        const sent = ctx.mock.requests.filter(r=>r.path == `/tasks/${id}/instructions`);
+        assert.equal(sent.length, 3);
+        assert.equal(sent[0].body.instructions[1].action, 'Wait 1 seconds before next action');
+    });
+
+    it('batch_actions halts at the first failure with stopOnError', async ()=>{
+        const id = await new_session();
+        const res = await ctx.call('batch_actions', {executionId: id,
+            actions: ['Click login', 'Click the thing that will explode', 'Submit']});
+        assert.ok(!res.isError, res.text);
+        assert.equal(res.data.status, 'halted');
+        assert.deepEqual(res.data.steps.map(s=>s.status), ['succeeded', 'failed']);
+        assert.match(res.data.steps[1].error, /Element exploded/);
+        assert.equal(res.data.result, undefined);
+    });
+
+    it('batch_actions carries on without stopOnError', async ()=>{
+        const id = await new_session();
+        const res = await ctx.call('batch_actions', {executionId: id, stopOnError: false,
+            actions: ['Click login', 'Click the thing that will explode', 'Submit']});
+        assert.equal(res.data.status, 'completed_with_errors');
+        assert.deepEqual(res.data.steps.map(s=>s.status), ['succeeded', 'failed', 'succeeded']);
+        assert.equal(res.data.actionsCompleted, 2);
+    });
+
+    it('get_session_status returns the remote task', async ()=>{
+        const id = await new_session();
+        const res = await ctx.call('get_session_status', {executionId: id});
+        assert.ok(!res.isError, res.text);
+        assert.equal(res.data.executionId, id);
+        assert.equal(res.data.status, 'awaiting');
+    });
+
+    it('list_active_sessions reports tracked sessions with page state', async ()=>{
+        const id = await new_session();
+        const res = await ctx.call('list_active_sessions');
+        const session = res.data.activeSessions.find(s=>s.executionId == id);
+        assert.ok(session);
+        assert.equal(session.url, default_page.current_url);
+        assert.equal(session.title, default_page.title);
+        assert.equal(session.history[0].instruction, 'Go to https://example.com');
+    });
+
+    it('close_session stops the task and forgets it', async ()=>{
+        const id = await new_session();
+        const res = await ctx.call('close_session', {executionId: id});
+        assert.deepEqual(res.data, {executionId: id, stopped: true, removed: true});
+        assert.ok(ctx.mock.tasks.get(id).stopped);
+        const list = await ctx.call('list_active_sessions');
+        assert.ok(!list.data.activeSessions.some(s=>s.executionId == id));
+    });
+
+    it('close_all_sessions closes every session', async ()=>{
+        await new_session();
+        const res = await ctx.call('close_all_sessions');
+        assert.ok(res.data.totalClosed >= 1);
+        const list = await ctx.call('list_active_sessions');
+        assert.equal(list.data.totalSessions, 0);
+    });
+
+    it('does not wait past timeoutSeconds for a hung stop', async ()=>{
+        await new_session();
+        await new_session();
+        ctx.mock.hang('POST', '/tasks/', 2);
+        const ts = Date.now();
+        const res = await ctx.call('close_all_sessions', {timeoutSeconds: 0.5});
+        assert.ok(Date.now() - ts < 2000);
+        assert.deepEqual(res.data.closed.map(c=>c.stopped), [false, false]);
+    });
+
+    it('surfaces failed tasks as tool errors', async ()=>{
+        const id = await new_session();
+        const res = await ctx.call('interact_and_extract_in_session', {
+            instruction: 'Click the button that will explode', executionId: id});
+        assert.ok(res.isError);
+        assert.match(res.text, /Element exploded/);
+    });
+
+    it('retries transient errors while polling', async ()=>{
+        ctx.mock.fail('GET', '/tasks/', 503, 2);
+        await new_session();
+    });
+
+    it('times out with the executionId to resume from', async ()=>{
+        const res = await ctx.call('start_new_session', {
+            instruction: 'Go somewhere that will take forever', timeoutSeconds: 0.3});
+        assert.ok(res.isError);
+        assert.equal(res.data.error, 'timeout');
+        assert.match(res.data.executionId, /^mock-/);
+    });
+
+    it('reports API errors', async ()=>{
+        const res = await ctx.call('get_session_status', {executionId: 'missing'});
+        assert.ok(res.isError);
+        assert.match(res.text, /404/);
+    });
+});
+
+describe('cancellation', ()=>{
+    let ctx;
+    before(async ()=>{
+        ctx = await start_server({
+            env: {STOP_TASK_ON_CANCEL: 'true'},
+            mock_opts: {rules: [{match: 'take forever', pending_polls: 1e6}]},
+        });
+    });
+    after(()=>ctx.close());
+
+    it('stops the task of a request cancelled right after the handshake', async ()=>{
+        const controller = new AbortController();
+        const call = ctx.client.callTool({name: 'start_new_session',
+            arguments: {instruction: 'Go somewhere that will take forever'}}, undefined, {signal: controller.signal});
+        while (!ctx.mock.requests.some(r=>r.path == '/tasks'))
+            await new Promise(resolve=>setTimeout(resolve, 5));
+        controller.abort();
+        await assert.rejects(call);
+        for (let i = 0; i < 100 && !ctx.mock.requests.some(r=>r.path.endsWith('/stop')); i++)
+            await new Promise(resolve=>setTimeout(resolve, 20));
+        const stop = ctx.mock.requests.findIndex(r=>r.path.endsWith('/stop'));
+        assert.ok(stop > 0, 'the remote task was not stopped');
+        const polls_after = ctx.mock.requests.slice(stop).filter(r=>r.method == 'GET').length;
+        assert.ok(polls_after <= 1, `${polls_after} polls after stopping`);
+    });
+});
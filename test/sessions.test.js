@@ -0,0 +1,130 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {createSessionManager} from '../sessions.js';
+import {start_server, start_http_server} from './helpers.js';
+
+describe('session registry', ()=>{
+    let tmp;
+    before(()=>tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'browserai-sessions-')));
+    after(()=>fs.rmSync(tmp, {recursive: true, force: true}));
+
+    it('loads the sessions of a previous run', ()=>{
+        const file = path.join(tmp, 'restart.json');
+        const first = createSessionManager({file});
+        first.track_session('s1', {instruction: 'Go to https://a.test', options: {locale: 'de-DE'}});
+        first.update_activity('s1', {instructions: ['Click Login'],
+            result: JSON.stringify({current_url: 'https://a.test/login', title: 'Login'})});
+        first.add_task('s1', 't1');
+        const second = createSessionManager({file});
+        const session = second.get_session('s1');
+        assert.equal(session.owner, 'local');
+        assert.deepEqual(session.options, {locale: 'de-DE'});
+        assert.equal(session.url, 'https://a.test/login');
+        assert.deepEqual(session.history.map(h=>h.instruction), ['Go to https://a.test', 'Click Login']);
+        assert.equal(second.session_id('t1'), 's1');
+    });
+
+    it('expires idle sessions', async ()=>{
+        const file = path.join(tmp, 'idle.json');
+        const expired = [];
+        const manager = createSessionManager({file, idle_timeout_ms: 50, sweep_interval_ms: 20,
+            on_expire: id=>expired.push(id)});
+        manager.track_session('idle');
+        manager.track_session('busy');
+        for (let i = 0; i < 6; i++)
+        {
+            await new Promise(resolve=>setTimeout(resolve, 20));
+            manager.update_activity('busy');
+        }
+        assert.deepEqual(expired, ['idle']);
+        assert.equal(manager.get_session('idle'), undefined);
+        assert.ok(manager.get_session('busy'));
+        assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).sessions), ['busy']);
+    });
+
+    it('expires sessions that went idle while it was not running', ()=>{
+        const file = path.join(tmp, 'stale.json');
+        createSessionManager({file}).track_session('stale');
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        data.sessions.stale.lastActivity = Date.now() - 3600000;
+        fs.writeFileSync(file, JSON.stringify(data));
+        const expired = [];
+        const manager = createSessionManager({file, idle_timeout_ms: 60000,
+            on_expire: (id, session)=>expired.push([id, session.owner])});
+        assert.deepEqual(expired, [['stale', 'local']]);
+        assert.equal(manager.get_session('stale'), undefined);
+    });
+});
+
+const stored_session = (owner, lastActivity)=>({owner, options: {}, navigations: 0, created: lastActivity,
+    lastActivity, url: 'https://a.test/', title: null, history: []});
+
+// expired sessions are stopped in the background
+async function until(fn) {
+    for (let i = 0; !fn(); i++)
+    {
+        assert.ok(i < 100, 'timed out waiting');
+        await new Promise(resolve=>setTimeout(resolve, 20));
+    }
+}
+
+function write_sessions(tmp, sessions) {
+    fs.writeFileSync(path.join(tmp, 'sessions.json'), JSON.stringify({sessions}));
+}
+
+describe('sessions across restarts', ()=>{
+    let ctx, tmp;
+    before(async ()=>{
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'browserai-restart-'));
+        write_sessions(tmp, {
+            'kept-1': stored_session('local', Date.now()),
+            'stale-1': stored_session('local', Date.now() - 3600000),
+        });
+        ctx = await start_server({env: {SESSIONS_FILE: path.join(tmp, 'sessions.json'),
+            SESSION_IDLE_TIMEOUT_MINUTES: '10'}});
+    });
+    after(async ()=>{
+        await ctx.close();
+        fs.rmSync(tmp, {recursive: true, force: true});
+    });
+
+    it('keeps live sessions and stops the ones that expired meanwhile', async ()=>{
+        const list = await ctx.call('list_active_sessions', {});
+        assert.deepEqual(list.data.activeSessions.map(s=>s.executionId), ['kept-1']);
+        await until(()=>ctx.mock.requests.some(r=>r.method == 'POST' && r.path == '/tasks/stale-1/stop'));
+        assert.ok(!ctx.mock.requests.some(r=>r.path == '/tasks/kept-1/stop'));
+    });
+});
+
+describe('remote sessions across restarts', ()=>{
+    let ctx, tmp;
+    const alice_id = crypto.createHash('sha256').update('alice-token').digest('hex').slice(0, 16);
+    before(async ()=>{
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'browserai-restart-'));
+        write_sessions(tmp, {'stale-2': stored_session(alice_id, Date.now() - 3600000)});
+        ctx = await start_http_server({env: {SESSIONS_FILE: path.join(tmp, 'sessions.json'),
+            SESSION_IDLE_TIMEOUT_MINUTES: '10'}});
+    });
+    after(async ()=>{
+        await ctx.close();
+        fs.rmSync(tmp, {recursive: true, force: true});
+    });
+
+    it('stops expired sessions once their client connects', async ()=>{
+        const stops = ()=>ctx.mock.requests.filter(r=>r.path == '/tasks/stale-2/stop');
+        const bob = await ctx.connect({'Authorization': 'Bearer bob-token'});
+        await bob.call('list_active_sessions', {});
+        assert.deepEqual(stops(), []);
+        const alice = await ctx.connect({'X-API-Token': 'alice-token', 'X-Project-Name': 'alice-project'});
+        const list = await alice.call('list_active_sessions', {});
+        assert.equal(list.data.activeSessions.length, 0);
+        await until(()=>stops().length);
+        assert.equal(stops().length, 1);
+        assert.match(stops()[0].authorization, /alice-token/);
+    });
+});
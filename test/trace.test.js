@@ -0,0 +1,115 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {create_trace_store, trace_json, trace_html, replay_steps} from '../trace.js';
+import {start_server} from './helpers.js';
+
+describe('trace store', ()=>{
+    it('files calls under the session they drove', ()=>{
+        const store = create_trace_store({max_sessions: 2, max_calls: 2});
+        const instructions = (executionId, ...actions)=>({ts: Date.now(), type: 'instructions', executionId,
+            instructions: actions});
+        store.record('start_new_session', {owner: 'a', params: {instruction: 'Go to a.test'}, result: 'ok',
+            duration_ms: 5, events: [instructions('s1', 'Go to a.test')]});
+        store.record('list_active_sessions', {owner: 'a', params: {}, events: [], duration_ms: 1});
+        store.record('replay_session_trace', {owner: 'a', executionId: 's1', params: {executionId: 's1'},
+            duration_ms: 5, events: [instructions('s2', 'Go to a.test')]});
+        store.record('close_session', {owner: 'a', executionId: 's1', params: {executionId: 's1'},
+            error: new Error('<boom>'), duration_ms: 1, events: []});
+        const trace = store.get('s1');
+        assert.deepEqual(trace.calls.map(c=>[c.tool, c.status]), [['start_new_session', 'ok'], ['close_session', 'error']]);
+        assert.equal(store.get('s2').calls[0].tool, 'replay_session_trace');
+        store.record('interact_and_extract_in_session', {owner: 'a', executionId: 's1', params: {}, duration_ms: 1,
+            events: [instructions('s1', 'Click <b>')]});
+        assert.equal(trace.calls.length, 2);
+        assert.equal(trace.dropped, 1);
+        const json = trace_json(trace);
+        assert.deepEqual(replay_steps(json).map(s=>s.instructions), [['Click <b>']]);
+        const html = trace_html(json);
+        assert.match(html, /&lt;boom&gt;/);
+        assert.match(html, /<li>Click &lt;b&gt;<\/li>/);
+        assert.ok(!html.includes('<script'));
+    });
+
+    it('keeps other clients and task ids out of a trace', ()=>{
+        const store = create_trace_store({session_id: id=>id == 't1' ? 's1' : id});
+        const call = (owner, executionId)=>({owner, executionId, params: {executionId}, events: [], duration_ms: 1});
+        store.record('get_page_info', call('a', 's1'));
+        store.record('interact_and_extract_in_session', {...call('b', 's1'), error: new Error('Unknown executionId s1')});
+        store.record('get_page_info', call('a', 't1'));
+        assert.deepEqual(store.get('s1').calls.map(c=>c.params.executionId), ['s1', 't1']);
+        assert.equal(store.get('t1'), store.get('s1'));
+    });
+});
+
+describe('export and replay', ()=>{
+    let ctx, out;
+    before(async ()=>{
+        out = fs.mkdtempSync(path.join(os.tmpdir(), 'browserai-trace-'));
+        ctx = await start_server({env: {
+            OUTPUT_DIR: out,
+            CREDENTIALS_JSON: JSON.stringify({shop: {password: 'hunter22'}}),
+        }});
+    });
+    after(async ()=>{
+        await ctx.close();
+        fs.rmSync(out, {recursive: true, force: true});
+    });
+
+    it('exports a traced session and replays it in a new one', async ()=>{
+        const {data: {executionId}} = await ctx.call('start_new_session', {instruction: 'Go to https://shop.test/login',
+            extractData: false});
+        const login = await ctx.call('interact_and_extract_in_session', {executionId, extractData: false, waitTime: 0,
+            instruction: 'Fill the password with {{secret:shop.password}} and submit'});
+        assert.ok(!login.isError, login.text);
+        assert.ok(!(await ctx.call('close_session', {executionId})).isError);
+        const res = await ctx.call('export_session_trace', {executionId});
+        assert.ok(!res.isError, res.text);
+        assert.equal(res.data.calls, 3);
+        assert.equal(res.data.replaySteps, 2);
+        const text = fs.readFileSync(res.data.json, 'utf8');
+        assert.ok(!text.includes('hunter22'));
+        const trace = JSON.parse(text);
+        assert.deepEqual(trace.calls.map(c=>c.tool), ['start_new_session', 'interact_and_extract_in_session', 'close_session']);
+        const [sent, ...statuses] = trace.calls[1].events;
+        assert.deepEqual(sent.instructions, ['Fill the password with {{secret:shop.password}} and submit']);
+        assert.deepEqual(statuses.map(s=>s.status), ['pending', 'awaiting']);
+        assert.match(fs.readFileSync(res.data.html, 'utf8'), /^<!DOCTYPE html>/);
+
+        const before_count = ctx.mock.requests.length;
+        const replay = await ctx.call('replay_session_trace', {file: res.data.json});
+        assert.ok(!replay.isError, replay.text);
+        assert.notEqual(replay.data.executionId, executionId);
+        assert.equal(replay.data.replayedFrom, executionId);
+        assert.deepEqual(replay.data.steps.map(s=>[s.tool, s.status]),
+            [['start_new_session', 'succeeded'], ['interact_and_extract_in_session', 'succeeded']]);
+        const sent_again = ctx.mock.requests.slice(before_count).filter(r=>r.method == 'POST')
+            .map(r=>r.body.instructions[0].action);
+        assert.deepEqual(sent_again, ['Go to https://shop.test/login', 'Fill the password with hunter22 and submit']);
+        const replayed = await ctx.call('export_session_trace', {executionId: replay.data.executionId});
+        assert.equal(replayed.data.replaySteps, 2);
+    });
+
+    it('files calls made with a task id under their session', async ()=>{
+        const {data: {executionId}} = await ctx.call('start_new_session', {instruction: 'Go to https://shop.test/',
+            extractData: false});
+        const first = await ctx.call('interact_and_extract_in_session', {executionId, extractData: false, waitTime: 0,
+            instruction: 'Click Products'});
+        await ctx.call('interact_and_extract_in_session', {executionId: first.data.taskId, extractData: false,
+            waitTime: 0, instruction: 'Click the first product'});
+        await ctx.call('get_session_status', {executionId: first.data.taskId});
+        const res = await ctx.call('export_session_trace', {executionId});
+        assert.equal(res.data.calls, 4);
+        assert.equal(res.data.replaySteps, 3);
+    });
+
+    it('refuses unknown traces and files', async ()=>{
+        const res = await ctx.call('replay_session_trace', {executionId: 'nope'});
+        assert.match(res.text, /No trace for executionId nope/);
+        const file = await ctx.call('replay_session_trace', {file: path.join(out, 'missing.json')});
+        assert.match(file.text, /ENOENT/);
+    });
+});
@@ -0,0 +1,117 @@
+'use strict';
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import {start_server} from './helpers.js';
+
+const search = {
+    name: 'search',
+    description: 'Search the shop',
+    steps: [
+        {action: 'Go to https://shop.example'},
+        {action: 'Search for {{query}}', waitSeconds: 2},
+    ],
+    extract: {
+        instruction: 'Count the {{query}} results',
+        schema: {type: 'object', required: ['count'], properties: {count: {type: 'number'}}},
+    },
+};
+
+describe('workflows', ()=>{
+    let ctx, dir;
+    before(async ()=>{
+        ctx = await start_server({mock_opts: {rules: [
+            {match: 'JSON Schema', result: '{"count": 3}'},
+            {match: 'explode', status: 'failed', error: 'Boom'},
+        ]}});
+        dir = path.join(ctx.tmp, 'workflows');
+    });
+    after(()=>ctx.close());
+
+    const sent_actions = id=>ctx.mock.requests
+        .filter(r=>r.path == `/tasks/${id}/instructions`)
+        .map(r=>r.body.instructions.map(i=>i.action));
+
+    it('saves and lists workflows with their variables', async ()=>{
+        const res = await ctx.call('save_workflow', search);
+        assert.ok(!res.isError, res.text);
+        assert.deepEqual(res.data.variables, ['query']);
+        assert.ok(fs.existsSync(path.join(dir, 'search.json')));
+        const list = await ctx.call('list_workflows');
+        const saved = list.data.workflows.find(w=>w.name == 'search');
+        assert.deepEqual(saved.variables, ['query']);
+        assert.deepEqual(saved.steps, ['Go to https://shop.example', 'Search for {{query}}']);
+    });
+
+    it('runs a workflow in a new session with variables filled in', async ()=>{
+        const res = await ctx.call('run_workflow', {name: 'search', variables: {query: 'shoes'}});
+        assert.ok(!res.isError, res.text);
+        const {executionId, status, steps, extracted} = res.data;
+        assert.equal(status, 'completed');
+        assert.deepEqual(steps.map(s=>[s.step, s.status]), [[1, 'succeeded'], [2, 'succeeded']]);
+        assert.deepEqual(extracted, {count: 3});
+        const create = ctx.mock.requests.find(r=>r.method == 'POST' && r.path == '/tasks'
+            && r.body.instructions[0].action == 'Go to https://shop.example');
+        assert.ok(create);
+        const sent = sent_actions(executionId);
+        assert.deepEqual(sent[0], ['Search for shoes', 'Wait 2 seconds for the page to update']);
+        assert.match(sent[1][0], /Count the shoes results/);
+    });
+
+    it('reuses a given session', async ()=>{
+        const {data: {executionId}} = await ctx.call('start_new_session', {instruction: 'Go to https://shop.example'});
+        const res = await ctx.call('run_workflow', {name: 'search', executionId, variables: {query: 'hats'}});
+        assert.equal(res.data.executionId, executionId);
+        assert.equal(sent_actions(executionId)[0][0], 'Go to https://shop.example');
+    });
+
+    it('requires every variable', async ()=>{
+        const res = await ctx.call('run_workflow', {name: 'search'});
+        assert.ok(res.isError);
+        assert.match(res.text, /Missing workflow variables: query/);
+    });
+
+    it('stops at the failing step and returns partial results', async ()=>{
+        await ctx.call('save_workflow', {name: 'broken', steps: [
+            {action: 'Go to https://shop.example'},
+            {action: 'Click the button that will explode'},
+            {action: 'Never reached'},
+        ]});
+        const res = await ctx.call('run_workflow', {name: 'broken'});
+        assert.ok(!res.isError, res.text);
+        assert.equal(res.data.status, 'failed');
+        assert.deepEqual(res.data.steps.map(s=>s.status), ['succeeded', 'failed']);
+        assert.match(res.data.steps[1].error, /Boom/);
+    });
+
+    it('loads hand written YAML workflows', async ()=>{
+        fs.writeFileSync(path.join(dir, 'yaml-flow.yaml'),
+            'steps:\n  - action: Go to {{site}}\ndefaults:\n  site: https://example.com\n');
+        const res = await ctx.call('run_workflow', {name: 'yaml-flow'});
+        assert.equal(res.data.status, 'completed');
+    });
+
+    it('reports malformed workflow files', async ()=>{
+        fs.writeFileSync(path.join(dir, 'no-steps.yaml'), 'description: forgot the steps\n');
+        fs.writeFileSync(path.join(dir, 'bad-json.json'), '{"steps": [');
+        const run = await ctx.call('run_workflow', {name: 'no-steps'});
+        assert.ok(run.isError);
+        assert.match(run.text, /Invalid workflow file no-steps\.yaml: steps: Required/);
+        const json = await ctx.call('run_workflow', {name: 'bad-json'});
+        assert.match(json.text, /Cannot parse workflow file bad-json\.json/);
+        const list = await ctx.call('list_workflows');
+        assert.ok(!list.isError, list.text);
+        assert.match(list.data.workflows.find(w=>w.name == 'no-steps').error, /steps: Required/);
+        assert.ok(list.data.workflows.find(w=>w.name == 'bad-json').error);
+        fs.rmSync(path.join(dir, 'no-steps.yaml'));
+        fs.rmSync(path.join(dir, 'bad-json.json'));
+    });
+
+    it('deletes workflows', async ()=>{
+        const res = await ctx.call('delete_workflow', {name: 'broken'});
+        assert.deepEqual(res.data, {name: 'broken', deleted: true});
+        const run = await ctx.call('run_workflow', {name: 'broken'});
+        assert.match(run.text, /Unknown workflow "broken"/);
+    });
+});
@@ -0,0 +1,151 @@
+'use strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {UserError} from 'fastmcp';
+import {output_dir} from './capture.js';
+
+export const trace_version = 1;
+
+function result_preview(result, max_chars) {
+    const text = typeof result == 'string' ? result
+        : (result?.content || []).map(block=>block.type == 'text' ? block.text : `[${block.type}]`).join('\n');
+    return text.length > max_chars ? text.slice(0, max_chars) + '…' : text;
+}
+
+// Every tool call against an executionId with the events it traced: the
+// instructions it sent and the task statuses seen while polling. Traces
+// outlive their sessions, so a failed flow can be exported after it was
+// closed, and the oldest are dropped once max_sessions is reached.
+// session_id maps the id of a task sent to a session to that session.
+export function create_trace_store({
+    max_sessions = +process.env.TRACE_STORE_SIZE || 50,
+    max_calls = +process.env.TRACE_MAX_CALLS || 500,
+    max_result_chars = 2000,
+    redact = v=>v,
+    session_id = id=>id,
+} = {}) {
+    const traces = new Map();
+    return {
+        record: (tool, {owner, executionId, params, events, result, error, duration_ms})=>{
+            // a replay names the traced session but drives a new one
+            executionId = events.find(e=>e.type == 'instructions')?.executionId || executionId;
+            if (!executionId)
+                return;
+            executionId = session_id(executionId);
+            if (!traces.has(executionId))
+            {
+                traces.set(executionId, {executionId, owner, started: Date.now(), calls: [], dropped: 0});
+                while (traces.size > max_sessions)
+                    traces.delete(traces.keys().next().value);
+            }
+            const trace = traces.get(executionId);
+            // another client's call against this executionId was refused, it
+            // must not show up in the owner's trace
+            if (trace.owner != owner)
+                return;
+            trace.calls.push(redact({
+                ts: Date.now() - duration_ms,
+                tool,
+                params,
+                status: error ? 'error' : 'ok',
+                duration_ms,
+                events,
+                result: result === undefined ? undefined : result_preview(result, max_result_chars),
+                error: error?.message,
+            }));
+            if (trace.calls.length > max_calls)
+                trace.dropped += trace.calls.splice(0, trace.calls.length - max_calls).length;
+        },
+        get: executionId=>traces.get(session_id(executionId)),
+    };
+}
+
+export function trace_json(trace) {
+    return {
+        version: trace_version,
+        executionId: trace.executionId,
+        started: new Date(trace.started).toISOString(),
+        exported: new Date().toISOString(),
+        droppedCalls: trace.dropped,
+        calls: trace.calls.map(call=>({
+            ...call,
+            ts: new Date(call.ts).toISOString(),
+            events: call.events.map(event=>({...event, ts: new Date(event.ts).toISOString()})),
+        })),
+    };
+}
+
+const escape_html = value=>String(value ?? '').replace(/[&<>"']/g, c=>
+    ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'})[c]);
+
+function event_html(event) {
+    if (event.type == 'instructions')
+        return `<ol>${event.instructions.map(i=>`<li>${escape_html(i)}</li>`).join('')}</ol>`;
+    if (event.type == 'status')
+    {
+        return `<div class="status">${escape_html(event.taskId)}: ${escape_html(event.status)} after ` +
+            `${(event.elapsed_ms / 1000).toFixed(1)}s${event.error ? ` (${escape_html(event.error)})` : ''}</div>`;
+    }
+    return '';
+}
+
+// No scripts or external assets, the report opens anywhere
+export function trace_html(json) {
+    const rows = json.calls.map((call, i)=>`
+<tr class="${call.status}">
+<td>${i + 1}</td><td>${escape_html(call.ts)}</td><td>${escape_html(call.tool)}</td>
+<td>${escape_html(call.status)}</td><td>${(call.duration_ms / 1000).toFixed(1)}s</td>
+<td>${call.events.map(event_html).join('')}
+<details><summary>Parameters</summary><pre>${escape_html(JSON.stringify(call.params, null, 2))}</pre></details>
+${call.error ? `<pre class="error">${escape_html(call.error)}</pre>` : ''}
+${call.result ? `<details><summary>Result</summary><pre>${escape_html(call.result)}</pre></details>` : ''}</td>
+</tr>`).join('');
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Session trace ${escape_html(json.executionId)}</title>
+<style>
+body{font-family:system-ui,sans-serif;margin:2em;color:#222}
+table{border-collapse:collapse;width:100%}
+td,th{border:1px solid #ddd;padding:.4em;vertical-align:top;text-align:left}
+tr.error td{background:#fdecea}
+pre{white-space:pre-wrap;word-break:break-all;max-height:30em;overflow:auto;background:#f6f6f6;padding:.5em}
+pre.error{background:#fdecea}
+.status{color:#555;font-size:.9em}
+</style></head><body>
+<h1>Session trace ${escape_html(json.executionId)}</h1>
+<p>Started ${escape_html(json.started)}, exported ${escape_html(json.exported)}, ${json.calls.length} tool calls` +
+        `${json.droppedCalls ? `, ${json.droppedCalls} older calls dropped` : ''}.</p>
+<table><thead><tr><th>#</th><th>Time</th><th>Tool</th><th>Status</th><th>Duration</th><th>Details</th></tr></thead>
+<tbody>${rows}
+</tbody></table></body></html>
+`;
+}
+
+export async function save_trace(trace) {
+    await fs.mkdir(output_dir, {recursive: true});
+    const json = trace_json(trace);
+    const base = path.join(output_dir, `trace-${trace.executionId}-${json.exported.replace(/[:.]/g, '-')}`
+        .replace(/[^\w.-]/g, '_'));
+    await fs.writeFile(`${base}.json`, JSON.stringify(json, null, 2));
+    await fs.writeFile(`${base}.html`, trace_html(json));
+    return {json: `${base}.json`, html: `${base}.html`};
+}
+
+export async function load_trace(file) {
+    let json;
+    try {
+        json = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch(e) {
+        throw new UserError(`Cannot read trace ${file}: ${e.code || 'not valid JSON'}`);
+    }
+    if (json?.version != trace_version || !Array.isArray(json.calls))
+        throw new UserError(`${file} is not a session trace`);
+    return json;
+}
+
+// The instruction batches a trace sent, in order. The first started the
+// session, replaying it starts a fresh one.
+export function replay_steps(json) {
+    return json.calls.flatMap(call=>(call.events || [])
+        .filter(event=>event.type == 'instructions' && Array.isArray(event.instructions))
+        .map(event=>({tool: call.tool, instructions: event.instructions, options: event.options})));
+}
@@ -1,14 +1,8 @@
 'use strict';
-
-export function create_api_headers(package_json, api_token) {
-    return () => {
-        const headers = new Headers();
-        headers.append('user-agent', `${package_json.name}/${package_json.version}`);
-        headers.append('authorization', `apikey ${api_token}`);
-        headers.append('Content-Type', 'application/json');
-        return headers;
-    };
-}
+import {AsyncLocalStorage} from 'node:async_hooks';
+import {UserError, FastMCPSession} from 'fastmcp';
+import {ApiError, task_body} from './api.js';
+import {result_bytes} from './metering.js';
 
 function loading_progress(idx) {
     if (idx < 10) return idx * (Math.floor(Math.random() * 4) + 2);
@@ -18,99 +12,295 @@ function loading_progress(idx) {
     return 99;
 }
 
-export async function poll_task_result(task_id, headers_fn, { log, reportProgress, instructions }) {
-    let idx = 0;
+const poll_defaults = {
+    initial_delay_ms: +process.env.POLL_INITIAL_DELAY_MS || 1000,
+    max_delay_ms: +process.env.POLL_MAX_DELAY_MS || 10000,
+    max_retries: +process.env.POLL_MAX_RETRIES || 5,
+    timeout_sec: +process.env.TASK_TIMEOUT_SECONDS || 300,
+    stop_on_cancel: process.env.STOP_TASK_ON_CANCEL === 'true',
+    stop_timeout_ms: +process.env.STOP_TIMEOUT_MS || 10000,
+};
+
+export class TaskTimeoutError extends UserError {
+    constructor(task_id, timeout_sec) {
+        super(JSON.stringify({
+            error: 'timeout',
+            executionId: task_id,
+            timeoutSeconds: timeout_sec,
+            message: `Task ${task_id} did not finish within ${timeout_sec}s. ` +
+                'It may still be running, call get_session_status with this executionId to resume.',
+        }), {executionId: task_id, timeoutSeconds: timeout_sec});
+    }
+}
+
+export class TaskCancelledError extends UserError {
+    constructor(task_id) {
+        super(`Task ${task_id} was cancelled`, {executionId: task_id});
+    }
+}
+
+// fastmcp 1.x does not hand the MCP request's AbortSignal nor its session to
+// tools or resource loaders, so keep them in async context. The handlers are
+// wrapped before the session reads its first request: FastMCP's connect event
+// only fires once the client capabilities arrived, by then early requests may
+// already have run without them.
+// This relies on FastMCPSession.connect and the SDK server's private
+// _requestHandlers, fastmcp is pinned for that. Without them cancellation and
+// resource owner checks would silently stop working, so fail instead.
+const request_context = new AsyncLocalStorage();
+const context_methods = ['tools/call', 'resources/read'];
+let context_installed = false;
+
+function context_handlers(session) {
+    const handlers = session.server?._requestHandlers;
+    const missing = context_methods.filter(method=>typeof handlers?.get?.(method) != 'function');
+    if (missing.length)
+    {
+        throw new Error(`Cannot install the request context, this fastmcp version has no ${missing.join(', ')} ` +
+            'request handler where it is expected');
+    }
+    return handlers;
+}
+
+export function install_request_context() {
+    if (context_installed)
+        return;
+    const connect = FastMCPSession.prototype.connect;
+    if (typeof connect != 'function')
+        throw new Error('Cannot install the request context, FastMCPSession has no connect method');
+    // fail at startup rather than on the first connection
+    context_handlers(new FastMCPSession({name: 'probe', version: '0.0.0', prompts: [], resourcesTemplates: [],
+        tools: [{name: 'probe', execute: async ()=>''}],
+        resources: [{uri: 'probe://probe', name: 'probe', load: async ()=>({text: ''})}]}));
+    context_installed = true;
+    FastMCPSession.prototype.connect = function(transport) {
+        const session = this;
+        const handlers = context_handlers(session);
+        for (const method of context_methods)
+        {
+            const handler = handlers.get(method);
+            handlers.set(method, (request, extra)=>
+                request_context.run({signal: extra?.signal, session}, ()=>handler(request, extra)));
+        }
+        return connect.call(this, transport);
+    };
+}
+
+// The FastMCPSession serving the current request
+export function current_mcp_session() {
+    return request_context.getStore()?.session;
+}
+
+// What a tool call did below the tool itself, create_tool_fn hands it to the
+// session trace
+const call_events = new AsyncLocalStorage();
+
+export function trace_event(type, data) {
+    call_events.getStore()?.push({ts: Date.now(), type, ...data});
+}
+
+function backoff_delay(attempt) {
+    const delay = Math.min(poll_defaults.max_delay_ms,
+        poll_defaults.initial_delay_ms * 2 ** attempt);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject)=>{
+        if (signal?.aborted)
+            return reject(signal.reason);
+        const on_abort = ()=>{
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(()=>{
+            signal?.removeEventListener('abort', on_abort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', on_abort, {once: true});
+    });
+}
+
+function is_transient_status(status) {
+    return status == 429 || status >= 500;
+}
+
+export function request_deadline(timeout_sec) {
+    return Date.now() + (timeout_sec || poll_defaults.timeout_sec) * 1000;
+}
+
+// Bounded by the caller's deadline and by stop_timeout_ms, stops also run
+// after a call was cancelled or ran out of time
+export async function stop_task(task_id, api, log, { signal, deadline } = {}) {
+    deadline = Math.min(deadline || Infinity, Date.now() + poll_defaults.stop_timeout_ms);
+    try {
+        await api.stop_task(task_id, {signal, deadline});
+        log.info('Stopped remote task', { task_id });
+        return true;
+    } catch(e) {
+        log.warn('Failed to stop remote task', { task_id, error: e.message });
+        return false;
+    }
+}
+
+export async function poll_task_result(task_id, api, { log, reportProgress, instructions, signal, deadline }) {
+    let idx = 0, polls = 0, retries = 0, last_status;
     const startTime = Date.now();
+    deadline = deadline || request_deadline();
+    const timeout_sec = Math.round((deadline - startTime) / 1000);
+    const instruction = instructions[0]?.action || 'unknown';
+    const on_cancel = async()=>{
+        log.warn('Task polling cancelled', { task_id });
+        if (poll_defaults.stop_on_cancel)
+            await stop_task(task_id, api, log, {deadline});
+        return new TaskCancelledError(task_id);
+    };
     while (true)
     {
-        const url = `https://browser.ai/api/v1/tasks/${task_id}`;
-        const instruction = instructions[0]?.action || 'unknown';
-        const response = await fetch(url, {method: 'GET', headers: headers_fn()});
-        const result_data = await response.json();
-        const elapsed_sec = Math.floor((Date.now() - startTime) / 1000);
-        log.info(`Executing instruction "${instruction}". Status: ${result_data.status}. Progress: ${loading_progress(idx)}%, Time: ${elapsed_sec}s`);
-        if (typeof reportProgress === 'function') 
-        {
-            reportProgress({ 
-                progress: `${idx++}`, 
-                total: `100`, 
-                message: `Executing instruction "${instruction}". Status: ${result_data.status}. Progress: ${loading_progress(idx)}%, Time: ${elapsed_sec}s`     
-            });
+        if (signal?.aborted)
+            throw await on_cancel();
+        if (Date.now() >= deadline)
+            throw new TaskTimeoutError(task_id, timeout_sec);
+        let result_data, delay;
+        try {
+            result_data = await api.get_task(task_id, {signal, deadline});
+            retries = 0;
+        } catch(e) {
+            if (signal?.aborted)
+                throw await on_cancel();
+            if (e.name == 'TimeoutError')
+                throw new TaskTimeoutError(task_id, timeout_sec);
+            if (e instanceof ApiError)
+            {
+                if (!is_transient_status(e.status) || retries >= poll_defaults.max_retries)
+                {
+                    log.error('Task poll request failed', { task_id, status: e.status, error: e.body });
+                    throw e;
+                }
+                delay = Math.max(e.retry_after_ms, backoff_delay(retries++));
+                log.warn('Transient error while polling task, retrying', { task_id, status: e.status, retries, delay_ms: delay });
+            }
+            else
+            {
+                if (!(e instanceof TypeError) || retries >= poll_defaults.max_retries)
+                    throw e;
+                delay = backoff_delay(retries++);
+                log.warn('Network error while polling task, retrying', { task_id, error: e.message, retries, delay_ms: delay });
+            }
         }
-        if (['finalized', 'awaiting', 'stopped'].includes(result_data.status)) 
+        const elapsed_sec = Math.floor((Date.now() - startTime) / 1000);
+        if (result_data)
         {
-            reportProgress({ 
-                progress: 100, 
-                total: 100, 
-                message: `Task "${instruction}" successfully completed. Execution time: ${elapsed_sec}s`
-            });
-            log.info(`Task "${instruction}" successfully completed. Execution time: ${elapsed_sec}s`, { task_id, result: result_data.result });
-            return result_data.result;
+            if (result_data.status != last_status)
+            {
+                last_status = result_data.status;
+                trace_event('status', {taskId: task_id, status: last_status, elapsed_ms: Date.now() - startTime,
+                    error: result_data.error});
+            }
+            log.info(`Executing instruction "${instruction}". Status: ${result_data.status}. Progress: ${loading_progress(idx)}%, Time: ${elapsed_sec}s`);
+            if (typeof reportProgress === 'function') 
+            {
+                reportProgress({ 
+                    progress: `${idx++}`, 
+                    total: `100`, 
+                    message: `Executing instruction "${instruction}". Status: ${result_data.status}. Progress: ${loading_progress(idx)}%, Time: ${elapsed_sec}s`     
+                });
+            }
+            if (['finalized', 'awaiting', 'stopped'].includes(result_data.status)) 
+            {
+                reportProgress?.({ 
+                    progress: 100, 
+                    total: 100, 
+                    message: `Task "${instruction}" successfully completed. Execution time: ${elapsed_sec}s`
+                });
+                log.info(`Task "${instruction}" successfully completed. Execution time: ${elapsed_sec}s`, { task_id, result: result_data.result });
+                return result_data.result;
+            }
+            if (result_data.status == 'failed') 
+            {
+                log.error('Task poll failed', { task_id, error: result_data.error });
+                reportProgress?.({ 
+                    progress: 100, 
+                    total: 100, 
+                    message: `Task "${instruction}" failed.`
+                });
+                throw new Error(`Task ${task_id} failed: ${result_data.error}`);
+            }
+            delay = backoff_delay(polls++);
         }
-        if (result_data.status == 'failed') 
-        {
-            log.error('Task poll failed', { task_id, error: result_data.error });
-            reportProgress({ 
-                progress: 100, 
-                total: 100, 
-                message: `Task "${instruction}" failed.`
-            });
-            throw new Error(`Task ${task_id} failed: ${result_data.error}`);
+        try {
+            await sleep(Math.min(delay, Math.max(0, deadline - Date.now())), signal);
+        } catch(e) {
+            throw await on_cancel();
         }
-        await new Promise(resolve=>setTimeout(resolve, 3000));
     }
 }
 
-export async function send_session_instructions(executionId, instructions, headers_fn, { log, reportProgress }, project_name) {
-    const url = `https://browser.ai/api/v1/tasks/${executionId}/instructions`;
-    const body = {
-        geoLocation: {country: 'US'},
-        awaitable: true,
-        instructions,
-        project: project_name,
-        type: 'crawler_automation',
-    };
-    log.info('Sending instructions to session', { url, executionId, instructionsCount: instructions.length });
-    let response = await fetch(url, {
-        method: 'POST',
-        body: JSON.stringify(body),
-        headers: headers_fn(),
-    });
-    if (!response.ok) 
-    {
-        const error = await response.text();
-        log.error('Failed to send instructions', { status: response.status, statusText: response.statusText, error });
-        throw new Error(`Failed to send instructions: ${response.status} ${response.statusText} - ${error}`);
-    }
-    const data = await response.json();
+export async function send_session_instructions(executionId, instructions, api, { log, reportProgress, signal, deadline }, project_name, options) {
+    const body = task_body({instructions, project: project_name, options});
+    log.info('Sending instructions to session', { executionId, instructionsCount: instructions.length });
+    const data = await api.send_instructions(executionId, body, {signal, deadline});
     const task_id = data.executionId;
-    await new Promise(resolve=>setTimeout(resolve, 1000));
     log.info('Received task ID from API after sending instructions', { task_id, responseData: data });
     if (task_id) 
     {
-        let result = await poll_task_result(task_id, headers_fn, { log, reportProgress, instructions });
-        return {
-            content: [{
-                type: "text",
-                text: JSON.stringify({executionId: task_id, result}, null, 2)
-            }]
-        };
+        await sleep(poll_defaults.initial_delay_ms, signal);
+        let result = await poll_task_result(task_id, api, { log, reportProgress, instructions, signal, deadline });
+        return {executionId: task_id, result};
     }
     log.error('No task_id received after sending instructions', { responseData: data });
     throw new Error('No task ID received from API after sending instructions');
 }
 
-export function create_tool_fn(debug_stats) {
+function redact_log(log, redact) {
+    return Object.fromEntries(['debug', 'error', 'info', 'warn'].map(level=>
+        [level, (message, data)=>log[level](redact(message), redact(data))]));
+}
+
+// Images are left alone, only text blocks can echo a secret back
+function redact_result(result, redact) {
+    if (typeof result == 'string')
+        return redact(result);
+    if (Array.isArray(result?.content))
+    {
+        return {...result, content: result.content.map(block=>
+            block.type == 'text' ? {...block, text: redact(block.text)} : block)};
+    }
+    return result;
+}
+
+export function create_tool_fn(meter, resolve_context = ()=>({}), redact = v=>v, trace) {
     return (name, fn) => {
         return async (params, executionContext) => {
-            const { log } = executionContext;
-            debug_stats.tool_calls[name] = (debug_stats.tool_calls[name] || 0) + 1;
+            const log = redact_log(executionContext.log, redact);
+            const reportProgress = executionContext.reportProgress
+                && (progress=>executionContext.reportProgress(redact(progress)));
             const ts = Date.now();
             log.info(`[${name}] Executing tool`, { params });
+            const {signal, session: mcp_session} = request_context.getStore() || {};
+            const deadline = request_deadline(params?.timeoutSeconds);
+            const context = resolve_context(executionContext.session, params);
+            const usage = {owner: context.client?.id, executionId: params?.executionId, failed: true};
+            const call = {params, events: []};
             try {
-                return await fn(params, executionContext);
+                const result = redact_result(await call_events.run(call.events, ()=>fn(params, {...executionContext,
+                    log, reportProgress, signal, deadline, mcp_session, ...context})), redact);
+                Object.assign(usage, {failed: false, bytes: result_bytes(result)});
+                call.result = result;
+                return result;
             } catch(e) {
-                if (e.response) {
+                call.error = e;
+                if (typeof e?.message == 'string')
+                    e.message = redact(e.message);
+                if (e instanceof UserError) {
+                    log.warn(`[${name}] ${e.name}`, e.extras);
+                } else if (e.name == 'TimeoutError' || e.name == 'AbortError') {
+                    log.warn(`[${name}] Request aborted`, { reason: e.message });
+                    throw new UserError(signal?.aborted ? 'Request cancelled'
+                        : `Request timed out after ${Math.round((deadline - ts) / 1000)}s`);
+                } else if (e instanceof ApiError) {
+                    log.error(`[${name}] HTTP error`, { status: e.status, statusText: e.statusText, body: e.body });
+                } else if (e.response) {
                     let error_text = '';
                     try {
                         error_text = await e.response.text();
@@ -131,6 +321,8 @@ export function create_tool_fn(debug_stats) {
                 throw e;
             } finally {
                 const dur = Date.now() - ts;
+                meter?.record_call(name, {...usage, duration_ms: dur});
+                trace?.record(name, {...call, owner: usage.owner, executionId: usage.executionId, duration_ms: dur});
                 log.info(`[${name}] Tool finished`, { duration_ms: dur });
             }
         };
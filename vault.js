@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+'use strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+import {UserError} from 'fastmcp';
+
+const default_file = path.join(os.homedir(), '.browserai-mcp', 'credentials.enc');
+const secret_re = /\{\{\s*secret:([\w-]+)\.([\w-]+)\s*\}\}/g;
+const sensitive_key_re = /passw(or)?d|secret|token|api_?key|authorization|cookie|^cvv$|^otp$/i;
+export const redacted = '[REDACTED]';
+
+function derive_key(passphrase, salt) {
+    return crypto.scryptSync(passphrase, salt, 32);
+}
+
+export function encrypt_credentials(credentials, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', derive_key(passphrase, salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+    return JSON.stringify({
+        version: 1,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    }, null, 2);
+}
+
+export function decrypt_credentials(text, passphrase) {
+    const {salt, iv, tag, data} = JSON.parse(text);
+    const decipher = crypto.createDecipheriv('aes-256-gcm',
+        derive_key(passphrase, Buffer.from(salt, 'base64')), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64')),
+        decipher.final()]).toString('utf8'));
+}
+
+export function has_secrets(text) {
+    return typeof text == 'string' && new RegExp(secret_re.source).test(text);
+}
+
+// Credentials come from an AES-256-GCM encrypted file unlocked with
+// CREDENTIALS_KEY, and/or from CREDENTIALS_JSON for containers that inject
+// secrets through the environment. Env entries win over file ones.
+export function create_vault({
+    file = process.env.CREDENTIALS_FILE || default_file,
+    passphrase = process.env.CREDENTIALS_KEY,
+    json = process.env.CREDENTIALS_JSON,
+} = {}) {
+    let from_env = {};
+    if (json)
+    {
+        try {
+            from_env = JSON.parse(json);
+        } catch(e) {
+            throw new Error(`CREDENTIALS_JSON is not valid JSON: ${e.message}`);
+        }
+    }
+    let from_file = {}, mtime;
+    // re-read when the file changes so `npm run vault` edits apply without a restart
+    const load = ()=>{
+        let stat;
+        try {
+            stat = fs.statSync(file);
+        } catch(e) {
+            if (e.code != 'ENOENT')
+                throw e;
+            from_file = {};
+            mtime = undefined;
+            return;
+        }
+        if (stat.mtimeMs === mtime)
+            return;
+        if (!passphrase)
+            throw new UserError(`CREDENTIALS_KEY is required to unlock ${file}`);
+        try {
+            from_file = decrypt_credentials(fs.readFileSync(file, 'utf8'), passphrase);
+        } catch(e) {
+            throw new UserError(`Failed to unlock ${file}, check CREDENTIALS_KEY`);
+        }
+        mtime = stat.mtimeMs;
+    };
+    const credentials = ()=>{
+        load();
+        return {...from_file, ...from_env};
+    };
+    const known_values = ()=>{
+        let all;
+        try {
+            all = credentials();
+        } catch(e) {
+            all = from_env;
+        }
+        return Object.values(all).flatMap(fields=>Object.values(fields || {}))
+            .map(String).filter(value=>value.length >= 3)
+            .sort((a, b)=>b.length - a.length);
+    };
+    const write = all=>{
+        if (!passphrase)
+            throw new Error('CREDENTIALS_KEY is required to write the credentials file');
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, encrypt_credentials(all, passphrase), {mode: 0o600});
+        fs.renameSync(tmp, file);
+        from_file = all;
+        mtime = fs.statSync(file).mtimeMs;
+    };
+    const redact_value = (value, secrets)=>{
+        if (typeof value == 'string')
+            return secrets.reduce((text, secret)=>text.split(secret).join(redacted), value);
+        if (Array.isArray(value))
+            return value.map(v=>redact_value(v, secrets));
+        if (value && typeof value == 'object' && !(value instanceof Error))
+        {
+            return Object.fromEntries(Object.entries(value).map(([k, v])=>[k,
+                sensitive_key_re.test(k) && (typeof v == 'string' || typeof v == 'number')
+                    ? redacted : redact_value(v, secrets)]));
+        }
+        return value;
+    };
+    return {
+        file,
+        aliases: ()=>Object.entries(credentials()).map(([alias, fields])=>({
+            alias,
+            fields: Object.keys(fields || {}),
+        })),
+        // Replaces {{secret:alias.field}} placeholders, only ever called on
+        // the instructions sent to the remote browser
+        resolve: text=>{
+            if (!has_secrets(text))
+                return text;
+            const all = credentials();
+            return text.replace(secret_re, (match, alias, field)=>{
+                const value = all[alias]?.[field];
+                if (value === undefined)
+                    throw new UserError(`Unknown secret ${alias}.${field}`);
+                return String(value);
+            });
+        },
+        // Masks every stored secret value and sensitive looking fields
+        redact: value=>redact_value(value, known_values()),
+        set: (alias, fields)=>{
+            load();
+            write({...from_file, [alias]: fields});
+        },
+        remove: alias=>{
+            load();
+            const all = {...from_file};
+            if (!(alias in all))
+                return false;
+            delete all[alias];
+            write(all);
+            return true;
+        },
+    };
+}
+
+function read_stdin() {
+    try {
+        return fs.readFileSync(0, 'utf8').replace(/\r?\n$/, '');
+    } catch(e) {
+        return '';
+    }
+}
+
+// npm run vault -- set <alias> username=me password=-   ("-" reads the value from stdin)
+// npm run vault -- list
+// npm run vault -- remove <alias>
+function main([command, alias, ...pairs]) {
+    const vault = create_vault();
+    if (command == 'list')
+    {
+        for (const {alias: name, fields} of vault.aliases())
+            console.log(`${name}: ${fields.join(', ')}`);
+        return;
+    }
+    if (command == 'set' && alias && pairs.length)
+    {
+        const fields = {};
+        for (const pair of pairs)
+        {
+            const i = pair.indexOf('=');
+            if (i < 1)
+                throw new Error(`Expected field=value, got "${pair}"`);
+            const value = pair.slice(i + 1);
+            fields[pair.slice(0, i)] = value == '-' ? read_stdin() : value;
+        }
+        vault.set(alias, fields);
+        console.log(`Saved ${alias} to ${vault.file}`);
+        return;
+    }
+    if (command == 'remove' && alias)
+    {
+        console.log(vault.remove(alias) ? `Removed ${alias}` : `No credentials for ${alias}`);
+        return;
+    }
+    console.error('Usage: vault.js list | set <alias> field=value... | remove <alias>');
+    process.exitCode = 1;
+}
+
+if (process.argv[1] && fs.realpathSync(process.argv[1]) == fileURLToPath(import.meta.url))
+{
+    try {
+        main(process.argv.slice(2));
+    } catch(e) {
+        console.error(e.message);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,172 @@
+'use strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import YAML from 'yaml';
+import {z} from 'zod';
+import {UserError} from 'fastmcp';
+import {local_owner} from './sessions.js';
+
+const default_dir = path.join(os.homedir(), '.browserai-mcp', 'workflows');
+const extensions = ['.json', '.yaml', '.yml'];
+const placeholder_re = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+export const workflow_step = z.object({
+    action: z.string(),
+    waitSeconds: z.number().min(0).optional(),
+    extract: z.string().optional(),
+    schema: z.record(z.any()).optional(),
+});
+
+// What save_workflow takes and every workflow file must hold
+export const workflow_params = {
+    name: z.string(),
+    description: z.string().optional(),
+    steps: z.array(workflow_step).min(1),
+    extract: z.object({
+        instruction: z.string(),
+        schema: z.record(z.any()).optional(),
+    }).optional(),
+    defaults: z.record(z.string()).optional(),
+};
+
+// Files are often written by hand, the name comes from the file name
+const workflow_file = z.object({...workflow_params, name: z.string().optional()}).passthrough();
+
+export function check_workflow_name(name) {
+    if (!/^[\w-]{1,100}$/.test(name))
+        throw new UserError(`Invalid workflow name "${name}", use letters, digits, "_" and "-"`);
+}
+
+// Collects {{variable}} names used anywhere in the workflow
+export function workflow_variables(value, vars = new Set()) {
+    if (typeof value == 'string')
+    {
+        for (const [, name] of value.matchAll(placeholder_re))
+            vars.add(name);
+    }
+    else if (Array.isArray(value))
+        value.forEach(v=>workflow_variables(v, vars));
+    else if (value && typeof value == 'object')
+        Object.values(value).forEach(v=>workflow_variables(v, vars));
+    return vars;
+}
+
+export function fill_placeholders(value, variables) {
+    if (typeof value == 'string')
+        return value.replace(placeholder_re, (match, name)=>variables[name]);
+    if (Array.isArray(value))
+        return value.map(v=>fill_placeholders(v, variables));
+    if (value && typeof value == 'object')
+    {
+        return Object.fromEntries(Object.entries(value)
+            .map(([k, v])=>[k, fill_placeholders(v, variables)]));
+    }
+    return value;
+}
+
+// Returns the workflow with every placeholder filled, failing on any
+// variable that was neither passed nor given a default
+export function prepare_workflow(workflow, variables = {}) {
+    const values = {...workflow.defaults, ...variables};
+    const missing = [...workflow_variables(workflow.steps),
+        ...workflow_variables(workflow.extract)].filter(name=>values[name] === undefined);
+    if (missing.length)
+        throw new UserError(`Missing workflow variables: ${[...new Set(missing)].join(', ')}`);
+    return {
+        ...workflow,
+        steps: fill_placeholders(workflow.steps, values),
+        extract: fill_placeholders(workflow.extract, values),
+    };
+}
+
+function workflow_dir_store(dir) {
+    const find = async name=>{
+        check_workflow_name(name);
+        for (const ext of extensions)
+        {
+            const file = path.join(dir, name + ext);
+            try {
+                return {file, text: await fs.readFile(file, 'utf8')};
+            } catch(e) {
+                if (e.code != 'ENOENT')
+                    throw e;
+            }
+        }
+        return null;
+    };
+    const get = async name=>{
+        const found = await find(name);
+        if (!found)
+            throw new UserError(`Unknown workflow "${name}"`);
+        // only the file name, server paths mean nothing to remote clients
+        const file = path.basename(found.file);
+        let workflow;
+        try {
+            workflow = found.file.endsWith('.json') ? JSON.parse(found.text)
+                : YAML.parse(found.text);
+        } catch(e) {
+            throw new UserError(`Cannot parse workflow file ${file}: ${e.message}`);
+        }
+        const checked = workflow_file.safeParse(workflow);
+        if (!checked.success)
+        {
+            throw new UserError(`Invalid workflow file ${file}: ` + checked.error.issues
+                .map(issue=>`${issue.path.join('.') || 'workflow'}: ${issue.message}`).join('; '));
+        }
+        return {...checked.data, name};
+    };
+    return {
+        dir,
+        get,
+        save: async workflow=>{
+            check_workflow_name(workflow.name);
+            await fs.mkdir(dir, {recursive: true});
+            const existing = await find(workflow.name);
+            const file = existing?.file || path.join(dir, `${workflow.name}.json`);
+            const data = {...workflow, updated: new Date().toISOString()};
+            await fs.writeFile(file, file.endsWith('.json') ? JSON.stringify(data, null, 2)
+                : YAML.stringify(data));
+            return file;
+        },
+        list: async ()=>{
+            let files;
+            try {
+                files = await fs.readdir(dir);
+            } catch(e) {
+                if (e.code == 'ENOENT')
+                    return [];
+                throw e;
+            }
+            const names = [...new Set(files.filter(f=>extensions.includes(path.extname(f)))
+                .map(f=>path.basename(f, path.extname(f))))].sort();
+            const workflows = [];
+            for (const name of names)
+            {
+                try {
+                    workflows.push(await get(name));
+                } catch(e) {
+                    workflows.push({name, error: e.message});
+                }
+            }
+            return workflows;
+        },
+        remove: async name=>{
+            const found = await find(name);
+            if (!found)
+                return false;
+            await fs.unlink(found.file);
+            return true;
+        },
+    };
+}
+
+// The local client keeps its workflows directly in dir, where hand written
+// ones are picked up too. Every remote client gets a directory of its own.
+export function create_workflow_store({dir = process.env.WORKFLOWS_DIR || default_dir} = {}) {
+    const local = workflow_dir_store(dir);
+    return {
+        for_owner: owner=>owner == local_owner ? local
+            : workflow_dir_store(path.join(dir, 'clients', owner)),
+    };
+}